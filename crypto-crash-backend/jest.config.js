@@ -0,0 +1,11 @@
+// Tests run against one in-memory Mongo replica set (transactions need a
+// replica set), started once for the whole run. Each test file gets its
+// own database on it.
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  globalSetup: '<rootDir>/tests/setup/globalSetup.js',
+  globalTeardown: '<rootDir>/tests/setup/globalTeardown.js',
+  setupFilesAfterEnv: ['<rootDir>/tests/setup/silenceLogger.js'],
+  testTimeout: 30000
+};
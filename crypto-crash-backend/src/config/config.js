@@ -0,0 +1,204 @@
+const os = require('os');
+const {
+  DEFAULT_CRASH_CONFIG,
+  DEFAULT_GROWTH_RATE,
+  resolveCrashConfig
+} = require('crypto-crash-shared');
+
+// Crash distribution per game mode. Extra modes (or overrides of these)
+// can be supplied as JSON in GAME_MODES, e.g.
+// GAME_MODES='{"promo":{"houseEdge":0.02,"maxMultiplier":500}}'
+const gameModes = {
+  standard: { ...DEFAULT_CRASH_CONFIG },
+  promo: {
+    ...DEFAULT_CRASH_CONFIG,
+    houseEdge: 0.02
+  },
+  ...(process.env.GAME_MODES ? JSON.parse(process.env.GAME_MODES) : {})
+};
+
+// Game rooms, each running its own loop with its own limits (USD per bet),
+// allowed currencies, timing (ms) and game mode. ROOMS (JSON) replaces
+// this set, e.g. ROOMS='{"main":{},"vip":{"minBet":500,"gameMode":"promo"}}'
+const rooms = process.env.ROOMS ? JSON.parse(process.env.ROOMS) : {
+  main: { name: 'Main' },
+  'low-stakes': { name: 'Low Stakes', maxBet: 10 },
+  'high-roller': { name: 'High Roller', minBet: 100, maxBet: 100000 },
+  btc: { name: 'BTC Only', currencies: ['BTC'] }
+};
+
+// A non-negative number from the environment: unset keeps the default, and
+// anything else, 0 included, is the value
+const envNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+// A USD limit from the environment: unset keeps the default, 'none' turns
+// the limit off, and anything else, 0 included, is the limit
+const riskLimit = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return fallback;
+  if (value.trim().toLowerCase() === 'none') return null;
+
+  const limit = Number(value);
+  if (Number.isNaN(limit) || limit < 0) {
+    throw new Error(`${name} must be a non-negative number or 'none'`);
+  }
+  return limit;
+};
+
+const config = {
+  // Access tokens are short-lived JWTs; refresh tokens rotate on every use
+  accessTokenTtl: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // Where revoked sessions are kept: 'memory' or 'redis' (uses REDIS_URL)
+  sessionStore: process.env.SESSION_STORE || 'memory',
+  // How long a user-wide revocation is remembered; must outlive access tokens
+  sessionRevocationTtl: parseInt(process.env.SESSION_REVOCATION_TTL) || 24 * 60 * 60,
+
+  // TOTP two-factor authentication. window is the number of 30s steps of
+  // clock drift tolerated either side of now.
+  totp: {
+    issuer: process.env.TOTP_ISSUER || 'CryptoCrash',
+    period: 30,
+    window: parseInt(process.env.TOTP_WINDOW) || 1,
+    recoveryCodeCount: 10,
+    challengeTtl: process.env.TOTP_CHALLENGE_EXPIRES_IN || '5m'
+  },
+
+  // Outgoing mail. transport is 'console', 'file' (JSON lines at filePath)
+  // or 'smtp'. Links in emails point at appUrl.
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Crypto Crash <no-reply@cryptocrash.local>',
+    appUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+    filePath: process.env.MAIL_FILE_PATH || 'tmp/mail.log',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    },
+    verificationTtl: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    passwordResetTtl: process.env.PASSWORD_RESET_EXPIRES_IN || '1h'
+  },
+
+  gameMode: process.env.GAME_MODE || 'standard',
+  gameModes,
+
+  // Multiplier curve e^(rate * ms), see crypto-crash-shared/src/curve.js
+  multiplierGrowthRate: parseFloat(process.env.MULTIPLIER_GROWTH_RATE) || DEFAULT_GROWTH_RATE,
+  // How often multiplier_update is broadcast; clients interpolate in between
+  multiplierTickInterval: parseInt(process.env.MULTIPLIER_TICK_INTERVAL) || 100,
+  // Longest latency compensation (ms) granted to a cashout; 0 disables it
+  cashoutGraceWindow: parseInt(process.env.CASHOUT_GRACE_WINDOW) || 0,
+  // Highest round trip (ms) recorded for a socket, whatever it measures
+  maxRoundTrip: parseInt(process.env.MAX_ROUND_TRIP) || 1000,
+  // How bets in rounds interrupted mid-flight are settled on startup:
+  // 'refund' returns every open stake; 'resolve' settles auto cashouts
+  // against the known crash point and refunds the rest
+  recoveryPolicy: process.env.RECOVERY_POLICY || 'refund',
+  // How long shutdown waits for the game loop to drain. The longest round
+  // (the max multiplier at the default growth rate) lasts about two minutes.
+  shutdownTimeout: parseInt(process.env.SHUTDOWN_TIMEOUT) || 180000,
+
+  // Fraction kept by the house when converting between wallet currencies
+  conversionSpread: envNumber('WALLET_CONVERSION_SPREAD', 0.005),
+
+  // Ledger vs. cached wallet balance check (cron syntax)
+  reconciliationSchedule: process.env.RECONCILIATION_SCHEDULE || '*/15 * * * *',
+  // Largest difference treated as floating point noise rather than drift
+  reconciliationTolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE) || 1e-9,
+
+  // Running several instances: with CLUSTER_MODE=true they share socket
+  // events through a capped Mongo collection and hold a lease (ms) to elect
+  // the one instance that runs the game loops. The others forward commands.
+  cluster: {
+    enabled: process.env.CLUSTER_MODE === 'true',
+    instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    leaseTtl: parseInt(process.env.LEADER_LEASE_TTL) || 15000,
+    renewInterval: parseInt(process.env.LEADER_RENEW_INTERVAL) || 5000,
+    // Longest a lease write may take; a leader steps down once one fails
+    acquireTimeout: parseInt(process.env.LEADER_ACQUIRE_TIMEOUT) || 3000,
+    adapterCollection: process.env.SOCKET_ADAPTER_COLLECTION || 'socket_events',
+    commandTimeout: parseInt(process.env.CLUSTER_COMMAND_TIMEOUT) || 5000
+  },
+
+  // Socket events one user may send per window (ms), across all their
+  // sockets and, in cluster mode, all instances
+  socketRateLimit: {
+    window: parseInt(process.env.SOCKET_RATE_LIMIT_WINDOW) || 60000,
+    max: parseInt(process.env.SOCKET_RATE_LIMIT_MAX) || 100
+  },
+
+  // Starting risk limits in USD: null (RISK_*=none) for no limit, while 0
+  // allows nothing. Admins change them at runtime through /api/admin/risk,
+  // and every instance picks the stored values up within riskSettingsTtl (ms).
+  risk: {
+    // Largest profit a single bet can make; bets cash out when they reach it
+    maxWinPerBet: riskLimit('RISK_MAX_WIN_PER_BET', 100000),
+    // Paid plus current value of open bets in one round; every open bet is
+    // cashed out when it is reached
+    maxRoundExposure: riskLimit('RISK_MAX_ROUND_EXPOSURE', 500000),
+    // Per user, per UTC day
+    dailyWagerLimit: riskLimit('RISK_DAILY_WAGER_LIMIT', null),
+    dailyLossLimit: riskLimit('RISK_DAILY_LOSS_LIMIT', null)
+  },
+  riskSettingsTtl: parseInt(process.env.RISK_SETTINGS_TTL) || 10000,
+
+  // Player protection: how long raising or removing a self-set limit waits
+  // before it applies (ms), and the breaks and reminder intervals (minutes)
+  // players can choose from
+  protection: {
+    loosenDelay: envNumber('PROTECTION_LOOSEN_DELAY', 24 * 60 * 60 * 1000),
+    coolOffHours: [24, 72, 168, 720],
+    selfExclusionMonths: [6, 12, 60],
+    reminderIntervals: [0, 15, 30, 60, 120]
+  },
+
+  // Open positions one user may hold in a single round, unless a room overrides it
+  maxBetsPerRound: parseInt(process.env.MAX_BETS_PER_ROUND) || 2,
+
+  // Room sockets join when they connect and bets go to when none is named
+  defaultRoom: process.env.DEFAULT_ROOM || Object.keys(rooms)[0],
+  rooms,
+
+  getRoomConfig(roomId) {
+    if (!rooms[roomId]) {
+      throw new Error(`Unknown room: ${roomId}`);
+    }
+
+    return {
+      id: roomId,
+      name: roomId,
+      gameMode: config.gameMode,
+      minBet: 0.01,
+      maxBet: 10000,
+      currencies: ['BTC', 'ETH', 'LTC', 'ADA', 'DOT'],
+      maxAutoCashOut: 1000,
+      maxBetsPerRound: config.maxBetsPerRound,
+      bettingWindow: 5000,
+      roundGap: 6000,
+      growthRate: config.multiplierGrowthRate,
+      ...rooms[roomId]
+    };
+  },
+
+  getCrashConfig(mode = config.gameMode) {
+    if (!gameModes[mode]) {
+      throw new Error(`Unknown game mode: ${mode}`);
+    }
+    return resolveCrashConfig(gameModes[mode]);
+  }
+};
+
+module.exports = config;
@@ -24,11 +24,5 @@ mongoose.connection.on('error', (err) => {
   logger.error(`MongoDB connection error: ${err}`);
 });
 
-process.on('SIGINT', async () => {
-  await mongoose.connection.close();
-  logger.info('MongoDB connection closed through app termination');
-  process.exit(0);
-});
-
 module.exports = connectDB;
                 
\ No newline at end of file
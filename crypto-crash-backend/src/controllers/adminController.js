@@ -0,0 +1,825 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Withdrawal = require('../models/Withdrawal');
+const RoomControl = require('../models/RoomControl');
+const HashChain = require('../models/HashChain');
+const LedgerService = require('../services/ledgerService');
+const TokenService = require('../services/tokenService');
+const SessionRegistry = require('../services/sessionRegistry');
+const AuditService = require('../services/auditService');
+const RiskService = require('../services/riskService');
+const { withTransaction } = require('../utils/helper');
+const logger = require('../utils/logger');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findTargetUser = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.userId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  return user;
+};
+
+const findRoom = (req, res) => {
+  const room = req.app.get('wsService').getRoom(req.params.roomId);
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: 'Room not found'
+    });
+  }
+  return room;
+};
+
+// @route GET /api/admin/users
+const listUsers = async (req, res) => {
+  try {
+    const { search, role, isActive, page, limit } = req.query;
+    const query = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+      if (/^[a-f0-9]{24}$/i.test(search)) {
+        query.$or.push({ _id: search });
+      }
+    }
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-password -wallets'),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin list users error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+// @route GET /api/admin/users/:userId
+const getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ledgerBalances: await LedgerService.getBalances(user._id),
+        dailyTotals: await RiskService.getTotals(user._id)
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin get user error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+};
+
+// @route POST /api/admin/users/:userId/adjust-balance
+const adjustBalance = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { currency, amount, reason } = req.body;
+
+    // The ledger entry and its audit record commit together
+    const transaction = await withTransaction(async (session) => {
+      const posted = await LedgerService.post({
+        userId: user._id,
+        currency,
+        amount,
+        type: 'adjustment',
+        description: reason,
+        metadata: { adminId: req.user._id.toString() },
+        session
+      });
+
+      await AuditService.record(req, {
+        action: 'user.balance_adjusted',
+        targetType: 'user',
+        targetId: user._id,
+        reason,
+        details: { currency, amount, transactionId: posted._id.toString() },
+        session
+      });
+
+      return posted;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        transaction
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Insufficient balance') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(`Admin adjust balance error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust balance'
+    });
+  }
+};
+
+// @route PATCH /api/admin/users/:userId/status
+const setUserStatus = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { isActive, reason } = req.body;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own status'
+      });
+    }
+
+    await withTransaction(async (session) => {
+      const previous = await User.findByIdAndUpdate(user._id, { isActive }, { session }).select('isActive');
+
+      await AuditService.record(req, {
+        action: isActive ? 'user.activated' : 'user.deactivated',
+        targetType: 'user',
+        targetId: user._id,
+        reason,
+        details: { previous: previous.isActive },
+        session
+      });
+    });
+
+    if (!isActive) {
+      await TokenService.revokeAllForUser(user._id);
+      await SessionRegistry.revokeUser(user._id, 'deactivated');
+    }
+
+    res.json({
+      success: true,
+      message: isActive ? 'User activated' : 'User deactivated'
+    });
+  } catch (error) {
+    logger.error(`Admin set status error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status'
+    });
+  }
+};
+
+// @route PATCH /api/admin/users/:userId/role
+const setUserRole = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { role, reason } = req.body;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    await withTransaction(async (session) => {
+      const previous = await User.findByIdAndUpdate(user._id, { role }, { session }).select('role');
+
+      await AuditService.record(req, {
+        action: 'user.role_changed',
+        targetType: 'user',
+        targetId: user._id,
+        reason,
+        details: { previous: previous.role, role },
+        session
+      });
+    });
+
+    res.json({
+      success: true,
+      message: `Role set to ${role}`
+    });
+  } catch (error) {
+    logger.error(`Admin set role error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+};
+
+// @route PATCH /api/admin/users/:userId/risk
+const setUserRiskLimits = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { reason, ...limits } = req.body;
+
+    // Read in the transaction, so the limits left unchanged are current
+    const riskLimits = await withTransaction(async (session) => {
+      const current = await User.findById(user._id).select('riskLimits').session(session);
+      const { dailyWagerLimit, dailyLossLimit } = current.riskLimits;
+      const previous = { dailyWagerLimit, dailyLossLimit };
+      const updated = { ...previous, ...limits };
+
+      await User.updateOne({ _id: user._id }, { riskLimits: updated }, { session });
+
+      await AuditService.record(req, {
+        action: 'user.risk_limits_changed',
+        targetType: 'user',
+        targetId: user._id,
+        reason,
+        details: { previous, riskLimits: updated },
+        session
+      });
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      data: riskLimits
+    });
+  } catch (error) {
+    logger.error(`Admin set risk limits error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update risk limits'
+    });
+  }
+};
+
+// @route GET /api/admin/withdrawals
+const listWithdrawals = async (req, res) => {
+  try {
+    const { status, userId, page, limit } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (userId) query.userId = userId;
+
+    // Oldest first, the order they should be paid out in
+    const [withdrawals, total] = await Promise.all([
+      Withdrawal.find(query)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'username email'),
+      Withdrawal.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin list withdrawals error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawals'
+    });
+  }
+};
+
+const invalidWithdrawalId = (req, res) => {
+  if (mongoose.isValidObjectId(req.params.withdrawalId)) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Invalid withdrawal ID'
+  });
+  return true;
+};
+
+// @route POST /api/admin/withdrawals/:withdrawalId/complete
+// Records that the held funds were paid out to the address
+const completeWithdrawal = async (req, res) => {
+  try {
+    if (invalidWithdrawalId(req, res)) return;
+
+    const { txHash, reason } = req.body;
+
+    const withdrawal = await withTransaction(async (session) => {
+      const completed = await Withdrawal.findOneAndUpdate(
+        { _id: req.params.withdrawalId, status: 'pending' },
+        { $set: { status: 'completed', txHash, reason, processedBy: req.user._id, processedAt: new Date() } },
+        { session, new: true }
+      );
+      if (!completed) return null;
+
+      await AuditService.record(req, {
+        action: 'withdrawal.completed',
+        targetType: 'withdrawal',
+        targetId: completed._id,
+        reason,
+        details: { userId: completed.userId.toString(), currency: completed.currency, amount: completed.amount, txHash },
+        session
+      });
+
+      return completed;
+    });
+
+    if (!withdrawal) {
+      return res.status(409).json({
+        success: false,
+        message: 'No pending withdrawal found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { withdrawal }
+    });
+  } catch (error) {
+    logger.error(`Admin complete withdrawal error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete withdrawal'
+    });
+  }
+};
+
+// @route POST /api/admin/withdrawals/:withdrawalId/reject
+// Returns the held funds to the player's wallet
+const rejectWithdrawal = async (req, res) => {
+  try {
+    if (invalidWithdrawalId(req, res)) return;
+
+    const { reason } = req.body;
+
+    const withdrawal = await withTransaction(async (session) => {
+      const rejected = await Withdrawal.findOneAndUpdate(
+        { _id: req.params.withdrawalId, status: 'pending' },
+        { $set: { status: 'rejected', reason, processedBy: req.user._id, processedAt: new Date() } },
+        { session, new: true }
+      );
+      if (!rejected) return null;
+
+      const reversal = await LedgerService.post({
+        userId: rejected.userId,
+        currency: rejected.currency,
+        amount: rejected.amount,
+        type: 'withdrawal',
+        description: 'Withdrawal rejected',
+        metadata: { withdrawalId: rejected._id.toString(), reversal: true },
+        session
+      });
+      rejected.reversalTransactionId = reversal._id;
+      await rejected.save({ session });
+
+      await AuditService.record(req, {
+        action: 'withdrawal.rejected',
+        targetType: 'withdrawal',
+        targetId: rejected._id,
+        reason,
+        details: { userId: rejected.userId.toString(), currency: rejected.currency, amount: rejected.amount },
+        session
+      });
+
+      return rejected;
+    });
+
+    if (!withdrawal) {
+      return res.status(409).json({
+        success: false,
+        message: 'No pending withdrawal found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { withdrawal }
+    });
+  } catch (error) {
+    logger.error(`Admin reject withdrawal error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject withdrawal'
+    });
+  }
+};
+
+// @route GET /api/admin/connections
+const getConnections = async (req, res) => {
+  try {
+    const connections = await req.app.get('wsService').getConnectedUsers();
+
+    res.json({
+      success: true,
+      data: {
+        count: new Set(connections.map(conn => conn.userId)).size,
+        connections
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin connections error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch connections'
+    });
+  }
+};
+
+// Game rooms run on the game-loop leader, which may be another instance,
+// so room status and controls go through wsService.execute()
+
+// @route GET /api/admin/game
+const getGameStatus = async (req, res) => {
+  try {
+    const wsService = req.app.get('wsService');
+
+    res.json({
+      success: true,
+      data: {
+        instance: wsService.getClusterInfo(),
+        rooms: await wsService.execute('room_status')
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin game status error: ${error.message}`);
+    res.status(503).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @route GET /api/admin/game/:roomId
+const getRoomStatus = async (req, res) => {
+  try {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    res.json({
+      success: true,
+      data: await req.app.get('wsService').execute('room_status', { roomId: room.roomId })
+    });
+  } catch (error) {
+    logger.error(`Admin room status error: ${error.message}`);
+    res.status(503).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Commit the room's new state together with its audit entry, then have the
+// leader apply it right away. A leader that misses the command still picks
+// the state up before its next round. Resolves to null when the room isn't
+// in one of the `from` states.
+const controlRoom = async (req, room, { command, state, from, action }) => {
+  const { reason } = req.body;
+
+  const changed = await withTransaction(async (session) => {
+    const control = await RoomControl.findById(room.roomId).session(session);
+    const previous = control ? control.state : 'running';
+    if (!from.includes(previous)) return false;
+
+    await RoomControl.updateOne(
+      { _id: room.roomId },
+      { $set: { state, reason, updatedBy: req.user._id, updatedAt: new Date() } },
+      { upsert: true, session }
+    );
+
+    await AuditService.record(req, {
+      action,
+      targetType: 'game',
+      targetId: room.roomId,
+      reason,
+      details: { previous },
+      session
+    });
+
+    return true;
+  });
+  if (!changed) return null;
+
+  const { status } = await req.app.get('wsService')
+    .execute(command, { roomId: room.roomId, reason });
+  return status;
+};
+
+// @route POST /api/admin/game/:roomId/pause
+const pauseGame = async (req, res) => {
+  try {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const status = await controlRoom(req, room, {
+      command: 'pause',
+      state: 'paused',
+      from: ['running'],
+      action: 'game.paused'
+    });
+
+    if (!status) {
+      return res.status(409).json({
+        success: false,
+        message: 'Game is already paused or stopping'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Admin pause game error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause game'
+    });
+  }
+};
+
+// @route POST /api/admin/game/:roomId/resume
+const resumeGame = async (req, res) => {
+  try {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const status = await controlRoom(req, room, {
+      command: 'resume',
+      state: 'running',
+      from: ['paused', 'drained'],
+      action: 'game.resumed'
+    });
+
+    if (!status) {
+      return res.status(409).json({
+        success: false,
+        message: 'Game is not paused or drained'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Admin resume game error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume game'
+    });
+  }
+};
+
+// @route POST /api/admin/game/:roomId/drain
+// Responds right away; the loop stops once the current round has settled
+const drainGame = async (req, res) => {
+  try {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const status = await controlRoom(req, room, {
+      command: 'drain',
+      state: 'drained',
+      from: ['running', 'paused'],
+      action: 'game.drained'
+    });
+
+    if (!status) {
+      return res.status(409).json({
+        success: false,
+        message: 'Game is already draining or drained'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Admin drain game error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to drain game'
+    });
+  }
+};
+
+// @route POST /api/admin/game/:roomId/client-seed
+// Commits the client seed of the room's active hash chain, once its
+// terminating hash has been published. The chain is named so a seed meant
+// for one chain can't land on the next after a rollover.
+const setClientSeed = async (req, res) => {
+  try {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const { chainId, clientSeed, source, reason } = req.body;
+
+    const chain = await withTransaction(async (session) => {
+      const active = await HashChain.findActive(room.roomId).session(session);
+      if (!active || active._id.toString() !== chainId) return null;
+
+      const updated = await HashChain.setClientSeed(active._id, { clientSeed, source }, session);
+      if (!updated) return null;
+
+      await AuditService.record(req, {
+        action: 'game.client_seed_set',
+        targetType: 'game',
+        targetId: room.roomId,
+        reason,
+        details: { chainId, terminatingHash: updated.terminatingHash, clientSeed, source },
+        session
+      });
+
+      return updated;
+    });
+
+    if (!chain) {
+      return res.status(409).json({
+        success: false,
+        message: 'Not the active hash chain of this room, or its client seed is already set'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        chainId: chain._id,
+        roomId: room.roomId,
+        terminatingHash: chain.terminatingHash,
+        clientSeed: chain.clientSeed,
+        clientSeedSource: chain.clientSeedSource,
+        clientSeedSetAt: chain.clientSeedSetAt,
+        createdAt: chain.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin set client seed error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set client seed'
+    });
+  }
+};
+
+// @route GET /api/admin/risk
+const getRiskSettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await RiskService.getSettings()
+    });
+  } catch (error) {
+    logger.error(`Admin risk settings error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch risk settings'
+    });
+  }
+};
+
+// @route PATCH /api/admin/risk
+const updateRiskSettings = async (req, res) => {
+  try {
+    const { reason, ...limits } = req.body;
+    const stored = await withTransaction(async (session) => {
+      const { previous, stored: updated } = await RiskService.update(limits, req.user._id, session);
+
+      await AuditService.record(req, {
+        action: 'risk.settings_updated',
+        targetType: 'settings',
+        targetId: 'risk',
+        reason,
+        details: { previous, settings: RiskService.fromStored(updated) },
+        session
+      });
+
+      return updated;
+    });
+    const settings = RiskService.cache(stored);
+
+    res.json({
+      success: true,
+      message: 'Risk settings updated; running rounds keep their limits',
+      data: settings
+    });
+  } catch (error) {
+    logger.error(`Admin update risk settings error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update risk settings'
+    });
+  }
+};
+
+// @route GET /api/admin/audit-log
+const getAuditLog = async (req, res) => {
+  try {
+    const { actorId, action, targetType, targetId, page, limit } = req.query;
+    const query = {};
+
+    if (actorId) query.actorId = actorId;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Admin audit log error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  adjustBalance,
+  setUserStatus,
+  setUserRole,
+  setUserRiskLimits,
+  listWithdrawals,
+  completeWithdrawal,
+  rejectWithdrawal,
+  getConnections,
+  getGameStatus,
+  getRoomStatus,
+  pauseGame,
+  resumeGame,
+  drainGame,
+  setClientSeed,
+  getRiskSettings,
+  updateRiskSettings,
+  getAuditLog
+};
@@ -0,0 +1,498 @@
+const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const SessionRegistry = require('../services/sessionRegistry');
+const TwoFactorService = require('../services/twoFactorService');
+const mailer = require('../services/mailer');
+const LedgerService = require('../services/ledgerService');
+const { withTransaction } = require('../utils/helper');
+const logger = require('../utils/logger');
+
+const requestMeta = (req) => ({
+  userAgent: req.get('user-agent') || '',
+  ip: req.ip
+});
+
+// A mail outage shouldn't fail the request that triggered the email
+const sendVerificationEmail = async (user) => {
+  try {
+    await mailer.sendVerificationEmail(user, TokenService.issueEmailVerificationToken(user));
+  } catch (error) {
+    logger.error(`Verification email error for ${user.username}: ${error.message}`);
+  }
+};
+
+// @route POST /api/auth/register
+const register = async (req, res) => {
+  try {
+    const { email, password, username } = req.body;
+
+    const existing = await User.findOne({ $or: [{ email }, { username }] });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: existing.email === email ? 'Email already registered' : 'Username already taken'
+      });
+    }
+
+    const user = new User({ email, password, username });
+    user.initializeWallets();
+
+    // Demo balances are granted through the ledger so they reconcile, and
+    // as demo credits so they can't be withdrawn
+    const demoBalances = user.wallets.map(wallet => ({
+      currency: wallet.currency,
+      amount: wallet.balance
+    }));
+    user.wallets.forEach(wallet => {
+      wallet.balance = 0;
+    });
+
+    await withTransaction(async (session) => {
+      await user.save({ session });
+
+      for (const { currency, amount } of demoBalances) {
+        await LedgerService.post({
+          userId: user._id,
+          currency,
+          amount,
+          type: 'demo_credit',
+          description: 'Demo balance',
+          session
+        });
+      }
+    });
+
+    const tokens = await TokenService.issueTokens(user, requestMeta(req));
+    const created = await User.findById(user._id).select('-password');
+
+    await sendVerificationEmail(user);
+
+    logger.info(`User registered: ${user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: created,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error(`Register error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed'
+    });
+  }
+};
+
+// @route POST /api/auth/login
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
+
+    // Second step: the client trades the challenge plus a code at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TokenService.issueTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    user.lastLogin = new Date();
+    await User.updateOne({ _id: user._id }, { lastLogin: user.lastLogin });
+
+    const tokens = await TokenService.issueTokens(user, requestMeta(req));
+
+    logger.info(`User logged in: ${user.username}`);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error(`Login error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+};
+
+// @route POST /api/auth/login/2fa
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let challenge;
+    try {
+      challenge = TokenService.verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired'
+      });
+    }
+
+    const user = await User.findById(challenge.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
+
+    if (!(await TwoFactorService.verify(user._id, code, { allowRecovery: true }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.lastLogin = new Date();
+    await User.updateOne({ _id: user._id }, { lastLogin: user.lastLogin });
+
+    const tokens = await TokenService.issueTokens(user, requestMeta(req));
+
+    logger.info(`User logged in with two-factor: ${user.username}`);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error(`Two-factor login error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+};
+
+// @route GET /api/auth/me
+const me = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user
+    }
+  });
+};
+
+// @route POST /api/auth/refresh
+const refresh = async (req, res) => {
+  try {
+    const result = await TokenService.rotateRefreshToken(req.body.refreshToken, requestMeta(req));
+
+    const user = await User.findById(result.userId).select('isActive');
+    if (!user || !user.isActive) {
+      await TokenService.revokeAllForUser(result.userId);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Invalid refresh token') {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(`Refresh error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed'
+    });
+  }
+};
+
+// @route POST /api/auth/logout
+const logout = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    if (allDevices) {
+      await TokenService.revokeAllForUser(req.user._id);
+      await SessionRegistry.revokeUser(req.user._id, 'logout');
+    } else {
+      if (refreshToken) {
+        await TokenService.revokeRefreshToken(refreshToken);
+      }
+      await SessionRegistry.revokeToken(req.token, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+};
+
+// @route POST /api/auth/verify-email
+const verifyEmail = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = TokenService.verifyEmailVerificationToken(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or expired'
+      });
+    }
+
+    const result = await User.updateOne(
+      { _id: decoded.id, email: decoded.email, emailVerified: false },
+      { emailVerified: true, emailVerifiedAt: new Date() }
+    );
+
+    if (result.matchedCount === 0) {
+      const user = await User.findById(decoded.id).select('email emailVerified');
+      if (!user || user.email !== decoded.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Verification link is invalid or expired'
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified'
+    });
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed'
+    });
+  }
+};
+
+// @route POST /api/auth/resend-verification
+const resendVerification = async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(409).json({
+      success: false,
+      message: 'Email is already verified'
+    });
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+};
+
+// @route POST /api/auth/forgot-password
+// Responds the same whether or not the email is registered
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      await mailer.sendPasswordResetEmail(user, TokenService.issuePasswordResetToken(user));
+      logger.info(`Password reset requested: ${user.username}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reset email'
+    });
+  }
+};
+
+// @route POST /api/auth/reset-password
+const resetPassword = async (req, res) => {
+  try {
+    const invalid = () => res.status(400).json({
+      success: false,
+      message: 'Reset link is invalid or expired'
+    });
+
+    let decoded;
+    try {
+      decoded = TokenService.verifyPasswordResetToken(req.body.token);
+    } catch (error) {
+      return invalid();
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive ||
+        TokenService.passwordFingerprint(user.password) !== decoded.pwd) {
+      return invalid();
+    }
+
+    // A mailbox alone isn't enough to take over an account with 2FA on
+    if (user.twoFactor.enabled) {
+      if (!req.body.code) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor code required.',
+          twoFactorRequired: true
+        });
+      }
+
+      if (!(await TwoFactorService.verify(user._id, req.body.code, { allowRecovery: true }))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid two-factor code'
+        });
+      }
+    }
+
+    user.password = req.body.password;
+    // The reset link arrived by email, which proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await TokenService.revokeAllForUser(user._id);
+    await SessionRegistry.revokeUser(user._id, 'password_reset');
+
+    logger.info(`Password reset: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset'
+    });
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed'
+    });
+  }
+};
+
+// @route POST /api/auth/change-password
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // End every existing session, then hand this client a fresh one
+    await TokenService.revokeAllForUser(user._id);
+    await SessionRegistry.revokeUser(user._id, 'password_changed');
+
+    const tokens = await TokenService.issueTokens(user, requestMeta(req));
+
+    logger.info(`Password changed: ${user.username}`);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    logger.error(`Change password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Password change failed'
+    });
+  }
+};
+
+// @route POST /api/auth/deactivate
+const deactivate = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { isActive: false });
+    await TokenService.revokeAllForUser(user._id);
+    await SessionRegistry.revokeUser(user._id, 'deactivated');
+
+    logger.info(`User deactivated: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Account deactivated'
+    });
+  } catch (error) {
+    logger.error(`Deactivate error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Deactivation failed'
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  me,
+  loginTwoFactor,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  deactivate
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const AutoBetService = require('../services/autoBetService');
+const logger = require('../utils/logger');
+
+// @route GET /api/game/autobets
+const listAutoBets = async (req, res) => {
+  try {
+    const programs = await AutoBetService.list(req.user._id);
+
+    res.json({
+      success: true,
+      data: { programs }
+    });
+  } catch (error) {
+    logger.error(`List auto bets error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auto-bet programs'
+    });
+  }
+};
+
+// @route POST /api/game/autobets
+// The program's first bet goes into the next round that opens
+const startAutoBet = async (req, res) => {
+  try {
+    const program = await AutoBetService.create(req.user._id, req.body);
+    AutoBetService.notify(req.app.get('wsService').io, program);
+
+    res.status(201).json({
+      success: true,
+      message: 'Auto-bet program started',
+      data: { program }
+    });
+  } catch (error) {
+    logger.error(`Start auto bet error: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @route DELETE /api/game/autobets/:programId
+const cancelAutoBet = async (req, res) => {
+  try {
+    const { programId } = req.params;
+    const program = mongoose.isValidObjectId(programId)
+      ? await AutoBetService.cancel(req.user._id, programId)
+      : null;
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'No running auto-bet program found'
+      });
+    }
+
+    AutoBetService.notify(req.app.get('wsService').io, program);
+
+    res.json({
+      success: true,
+      message: 'Auto-bet program cancelled',
+      data: { program }
+    });
+  } catch (error) {
+    logger.error(`Cancel auto bet error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel auto-bet program'
+    });
+  }
+};
+
+module.exports = {
+  listAutoBets,
+  startAutoBet,
+  cancelAutoBet
+};
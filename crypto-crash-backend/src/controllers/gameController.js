@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const Game = require('../models/Game');
+const HashChain = require('../models/HashChain');
+const ProvablyFair = require('../services/provablyFair');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Rounds created before roundNumber was persisted only carry it in
+// their id, which has the form round_<timestamp>_<roundNumber>
+const getRoundNumber = (game) => game.roundNumber ||
+  parseInt(game.roundId.split('_').pop(), 10);
+
+const getCrashConfig = (game) => game.crashConfig.toObject();
+
+// @route GET /api/game/rounds/:roundId/proof
+const getRoundProof = async (req, res) => {
+  try {
+    const game = await Game.findOne({ roundId: req.params.roundId });
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'Round not found'
+      });
+    }
+
+    // The seed is the preimage of the previous round's hash, so revealing it
+    // early would expose this round's crash point
+    if (['waiting', 'running'].includes(game.status)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Seed is revealed once the round has crashed'
+      });
+    }
+
+    const roundNumber = getRoundNumber(game);
+    const crashConfig = getCrashConfig(game);
+    const crashPoint = ProvablyFair.generateCrashPoint(
+      game.seed,
+      roundNumber,
+      game.clientSeed,
+      crashConfig
+    );
+    const proof = ProvablyFair.validateProof(
+      game.seed,
+      game.hash,
+      roundNumber,
+      game.crashPoint,
+      game.clientSeed,
+      crashConfig
+    );
+
+    res.json({
+      success: true,
+      data: {
+        roundId: game.roundId,
+        roundNumber,
+        seed: game.seed,
+        hash: game.hash,
+        clientSeed: game.clientSeed,
+        chainId: game.chainId,
+        chainPosition: game.chainPosition,
+        gameMode: game.gameMode,
+        crashConfig,
+        crashPoint,
+        recordedCrashPoint: game.crashPoint,
+        valid: proof.valid,
+        crashedAt: game.crashedAt
+      }
+    });
+  } catch (error) {
+    logger.error(`Get round proof error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch round proof'
+    });
+  }
+};
+
+// @route POST /api/game/verify
+const verifyProof = async (req, res) => {
+  try {
+    const { seed, hash, roundNumber, crashPoint, clientSeed, crashConfig, previousSeed } = req.body;
+
+    const result = ProvablyFair.validateProof(
+      seed,
+      hash,
+      roundNumber,
+      crashPoint,
+      clientSeed,
+      crashConfig
+    );
+    const data = {
+      ...result,
+      calculatedHash: ProvablyFair.createHash(seed),
+      calculatedCrashPoint: ProvablyFair.generateCrashPoint(seed, roundNumber, clientSeed, crashConfig)
+    };
+
+    if (previousSeed) {
+      data.chainLinkValid = ProvablyFair.verifyChainLink(seed, previousSeed);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error(`Verify proof error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify proof'
+    });
+  }
+};
+
+// @route GET /api/game/rounds/export
+// Crashed rounds with everything needed to verify them offline (crash-verify)
+const exportRounds = async (req, res) => {
+  try {
+    const { fromRound, toRound, limit } = req.query;
+    const query = { status: { $nin: ['waiting', 'running'] } };
+
+    if (fromRound || toRound) {
+      query.roundNumber = {};
+      if (fromRound) query.roundNumber.$gte = fromRound;
+      if (toRound) query.roundNumber.$lte = toRound;
+    }
+
+    const games = await Game.find(query)
+      .sort({ roundNumber: -1 })
+      .limit(limit)
+      .select('roundId roundNumber seed hash clientSeed chainId chainPosition crashPoint gameMode crashConfig crashedAt');
+
+    const chainIds = [...new Set(games.map(game => String(game.chainId)).filter(id => id !== 'null'))];
+    const chains = await HashChain.find({ _id: { $in: chainIds } })
+      .select('roomId terminatingHash');
+
+    res.json({
+      success: true,
+      data: {
+        exportedAt: new Date(),
+        chains: chains.map(chain => ({
+          chainId: chain._id,
+          roomId: chain.roomId || config.defaultRoom,
+          terminatingHash: chain.terminatingHash
+        })),
+        rounds: games.map(game => ({
+          roundId: game.roundId,
+          roundNumber: getRoundNumber(game),
+          seed: game.seed,
+          hash: game.hash,
+          clientSeed: game.clientSeed,
+          chainId: game.chainId,
+          chainPosition: game.chainPosition,
+          crashPoint: game.crashPoint,
+          gameMode: game.gameMode,
+          crashConfig: getCrashConfig(game),
+          crashedAt: game.crashedAt
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error(`Export rounds error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export rounds'
+    });
+  }
+};
+
+// @route POST /api/game/simulate
+// Empirical RTP of a crash configuration, to check it before deploying it
+const simulate = async (req, res) => {
+  try {
+    const { gameMode, crashConfig, rounds, seed, targets } = req.body;
+
+    if (gameMode && !config.gameModes[gameMode]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown game mode: ${gameMode}`
+      });
+    }
+
+    const baseConfig = gameMode ? config.getCrashConfig(gameMode) : {};
+    const result = await ProvablyFair.simulate(
+      { ...baseConfig, ...crashConfig },
+      rounds,
+      seed,
+      targets
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Simulation error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run simulation'
+    });
+  }
+};
+
+// @route GET /api/game/chain
+// The chain a room is drawing its seeds from, the default room's if none is given
+const getHashChain = async (req, res) => {
+  try {
+    const roomId = req.query.roomId || config.defaultRoom;
+    if (!config.rooms[roomId]) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown room: ${roomId}`
+      });
+    }
+
+    const chain = await HashChain.findActive(roomId);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active hash chain'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        chainId: chain._id,
+        roomId,
+        terminatingHash: chain.terminatingHash,
+        length: chain.length,
+        used: chain.used,
+        clientSeed: chain.clientSeed,
+        clientSeedSource: chain.clientSeedSource,
+        clientSeedSetAt: chain.clientSeedSetAt,
+        createdAt: chain.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error(`Get hash chain error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hash chain'
+    });
+  }
+};
+
+// @route GET /api/game/rooms
+const getRooms = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        defaultRoom: config.defaultRoom,
+        rooms: await req.app.get('wsService').execute('room_list')
+      }
+    });
+  } catch (error) {
+    logger.error(`Get rooms error: ${error.message}`);
+    res.status(503).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @route DELETE /api/game/bets/:betId
+// Same as the cancel_bet socket event, for clients without a socket
+const cancelBet = async (req, res) => {
+  try {
+    const { betId } = req.params;
+    if (!mongoose.isValidObjectId(betId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bet ID'
+      });
+    }
+
+    const game = await Game.findOne({
+      status: 'waiting',
+      bets: { $elemMatch: { _id: betId, userId: req.user._id } }
+    }).select('roomId');
+
+    if (!game) {
+      return res.status(404).json({
+        success: false,
+        message: 'No cancellable bet found'
+      });
+    }
+
+    const result = await req.app.get('wsService').execute('cancel_bet', {
+      roomId: game.roomId,
+      userId: req.user._id.toString(),
+      betId
+    });
+
+    res.json({
+      success: true,
+      message: 'Bet cancelled',
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Cancel bet error: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRoundProof,
+  verifyProof,
+  exportRounds,
+  simulate,
+  getHashChain,
+  getRooms,
+  cancelBet
+};
@@ -0,0 +1,127 @@
+const User = require('../models/User');
+const ProtectionService = require('../services/protectionService');
+const logger = require('../utils/logger');
+
+// Keep the user's open game tabs in step with the change
+const notify = (req, status) => {
+  req.app.get('wsService').io.to(`user:${req.user._id}`).emit('protection_status', status);
+};
+
+// @route GET /api/auth/protection
+const getProtection = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ProtectionService.getStatus(req.user)
+    });
+  } catch (error) {
+    logger.error(`Get protection error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch player protection settings'
+    });
+  }
+};
+
+// @route PUT /api/auth/protection/limits
+const setLimits = async (req, res) => {
+  try {
+    const { status, delayed } = await ProtectionService.setLimits(req.user._id, req.body);
+
+    notify(req, status);
+    logger.info(`Player limits changed: ${req.user.username}${delayed.length ? ` (waiting: ${delayed.join(', ')})` : ''}`);
+
+    res.json({
+      success: true,
+      message: delayed.length
+        ? 'Limits updated; raised or removed limits apply after the waiting period'
+        : 'Limits updated',
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Set limits error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update limits'
+    });
+  }
+};
+
+// @route POST /api/auth/protection/cool-off
+const coolOff = async (req, res) => {
+  try {
+    const status = await ProtectionService.coolOff(req.user._id, req.body.hours);
+
+    notify(req, status);
+    logger.info(`Cool-off started: ${req.user.username} until ${status.coolOffUntil.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: `Betting is paused until ${status.coolOffUntil.toISOString()}`,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Cool-off error: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @route POST /api/auth/protection/self-exclusion
+const selfExclude = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const status = await ProtectionService.selfExclude(user._id, req.body.months);
+
+    notify(req, status);
+    logger.info(`Self-exclusion started: ${user.username} until ${status.selfExcludedUntil.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: `You are self-excluded until ${status.selfExcludedUntil.toISOString()}`,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Self-exclusion error: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @route PUT /api/auth/protection/reminders
+const setReminderInterval = async (req, res) => {
+  try {
+    const status = await ProtectionService.setReminderInterval(req.user._id, req.body.reminderInterval);
+    notify(req, status);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Set reminders error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reminders'
+    });
+  }
+};
+
+module.exports = {
+  getProtection,
+  setLimits,
+  coolOff,
+  selfExclude,
+  setReminderInterval
+};
@@ -0,0 +1,178 @@
+const User = require('../models/User');
+const TwoFactorService = require('../services/twoFactorService');
+const logger = require('../utils/logger');
+
+// @route POST /api/auth/2fa/setup
+const setup = async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Not active until confirmed with a code from the authenticator app
+    const secret = TwoFactorService.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: TwoFactorService.provisioningUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    logger.error(`Two-factor setup error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// @route POST /api/auth/2fa/enable
+const enable = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    const secret = user.twoFactor.pendingSecret;
+
+    if (user.twoFactor.enabled || !secret) {
+      return res.status(409).json({
+        success: false,
+        message: 'No two-factor setup in progress'
+      });
+    }
+
+    const step = TwoFactorService.verifyCode(secret, req.body.code);
+    if (step === null) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': false, 'twoFactor.pendingSecret': secret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': secret,
+          'twoFactor.recoveryCodes': hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'No two-factor setup in progress'
+      });
+    }
+
+    logger.info(`Two-factor enabled: ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    logger.error(`Two-factor enable error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// @route POST /api/auth/2fa/disable
+const disable = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.comparePassword(password)) ||
+        !(await TwoFactorService.verify(user._id, code, { allowRecovery: true }))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedStep': null },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.enabledAt': ''
+        }
+      }
+    );
+
+    logger.info(`Two-factor disabled: ${user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error(`Two-factor disable error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// @route POST /api/auth/2fa/recovery-codes
+// Replaces every recovery code; requires a fresh TOTP code (requireTwoFactor)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    logger.error(`Recovery code error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
+module.exports = {
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Withdrawal = require('../models/Withdrawal');
+const CryptoService = require('../services/cryptoService');
+const LedgerService = require('../services/ledgerService');
+const config = require('../config/config');
+const { withTransaction } = require('../utils/helper');
+const logger = require('../utils/logger');
+
+// Withdrawals are limited to the balance less its demo funds
+const WITHDRAWABLE_ERROR = 'Amount exceeds the withdrawable balance; demo funds cannot be withdrawn';
+
+const serializeWallets = (wallets) => wallets.map(wallet => ({
+  currency: wallet.currency,
+  balance: wallet.balance,
+  demoBalance: wallet.demoBalance || 0,
+  usdValue: wallet.usdValue
+}));
+
+// @route GET /api/wallet
+const getWallet = async (req, res) => {
+  try {
+    // req.user may be cached; balances must be live
+    const user = await User.findById(req.user._id).select('wallets');
+    const wallets = await CryptoService.updateWalletValues(user.wallets);
+
+    res.json({
+      success: true,
+      data: {
+        wallets: serializeWallets(wallets),
+        totalUsdValue: wallets.reduce((total, wallet) => total + wallet.usdValue, 0)
+      }
+    });
+  } catch (error) {
+    logger.error(`Get wallet error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet'
+    });
+  }
+};
+
+// @route GET /api/wallet/transactions
+const getTransactions = async (req, res) => {
+  try {
+    const { page, limit, type, currency, roundId, from, to } = req.query;
+    const query = { userId: req.user._id };
+
+    if (type) query.type = type;
+    if (currency) query.currency = currency;
+    if (roundId) query.roundId = roundId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-entries -__v'),
+      Transaction.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Get transactions error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transactions'
+    });
+  }
+};
+
+// @route POST /api/wallet/convert
+const convert = async (req, res) => {
+  try {
+    const { from, to, amount } = req.body;
+
+    const [fromPrice, toPrice] = await Promise.all([
+      CryptoService.getPrice(from),
+      CryptoService.getPrice(to)
+    ]);
+
+    const rate = (fromPrice / toPrice) * (1 - config.conversionSpread);
+    const received = amount * rate;
+    const conversionId = crypto.randomUUID();
+    const metadata = { conversionId, from, to, rate, spread: config.conversionSpread };
+
+    // Both legs commit together or not at all
+    await withTransaction(async (session) => {
+      const debit = await LedgerService.post({
+        userId: req.user._id,
+        currency: from,
+        amount: -amount,
+        type: 'conversion',
+        usdPrice: fromPrice,
+        description: `Convert ${from} to ${to}`,
+        metadata,
+        session
+      });
+
+      await LedgerService.post({
+        userId: req.user._id,
+        currency: to,
+        amount: received,
+        type: 'conversion',
+        usdPrice: toPrice,
+        description: `Convert ${from} to ${to}`,
+        metadata,
+        // Demo funds stay demo funds in the other currency
+        demoAmount: -debit.demoAmount * rate,
+        session
+      });
+    });
+
+    const user = await User.findById(req.user._id).select('wallets');
+    const wallets = await CryptoService.updateWalletValues(user.wallets);
+
+    logger.info(`Conversion: ${req.user.username} - ${amount} ${from} -> ${received} ${to}`);
+
+    res.json({
+      success: true,
+      data: {
+        conversionId,
+        from,
+        to,
+        amount,
+        received,
+        rate,
+        spread: config.conversionSpread,
+        wallets: serializeWallets(wallets)
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Insufficient balance') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(`Conversion error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert'
+    });
+  }
+};
+
+// @route POST /api/wallet/withdraw
+// The amount is held from the wallet at once and paid out after review
+const withdraw = async (req, res) => {
+  try {
+    const { currency, amount, address } = req.body;
+
+    const withdrawal = await withTransaction(async (session) => {
+      // Read in the transaction: the debit below writes the same user
+      // document, so a withdrawal or bet racing this one makes it retry
+      const withdrawable = await LedgerService.getWithdrawable(req.user._id, currency, session);
+      if (amount > withdrawable) {
+        throw new Error(WITHDRAWABLE_ERROR);
+      }
+
+      const [created] = await Withdrawal.create([{
+        userId: req.user._id,
+        currency,
+        amount,
+        address
+      }], { session });
+
+      const debit = await LedgerService.post({
+        userId: req.user._id,
+        currency,
+        amount: -amount,
+        type: 'withdrawal',
+        description: `Withdraw ${currency} to ${address}`,
+        metadata: { withdrawalId: created._id.toString(), address },
+        session
+      });
+
+      created.debitTransactionId = debit._id;
+      await created.save({ session });
+      return created;
+    });
+
+    const user = await User.findById(req.user._id).select('wallets');
+    const wallets = await CryptoService.updateWalletValues(user.wallets);
+
+    logger.info(`Withdrawal requested: ${req.user.username} - ${amount} ${currency} to ${address}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Withdrawal requested; it is paid out once reviewed',
+      data: {
+        withdrawal,
+        wallets: serializeWallets(wallets)
+      }
+    });
+  } catch (error) {
+    if (error.message === 'Insufficient balance' || error.message === WITHDRAWABLE_ERROR) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error(`Withdrawal error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw'
+    });
+  }
+};
+
+// @route GET /api/wallet/withdrawals
+const getWithdrawals = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const query = { userId: req.user._id };
+
+    const [withdrawals, total] = await Promise.all([
+      Withdrawal.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-processedBy -__v'),
+      Withdrawal.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Get withdrawals error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch withdrawals'
+    });
+  }
+};
+
+module.exports = {
+  getWallet,
+  getTransactions,
+  convert,
+  withdraw,
+  getWithdrawals
+};
@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const SessionRegistry = require('../services/sessionRegistry');
+const TwoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
 
 const auth = async (req, res, next) => {
@@ -17,7 +19,15 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = TokenService.verifyAccessToken(token);
+
+    if (await SessionRegistry.isRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked.'
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
@@ -35,6 +45,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
     logger.error(`Auth middleware error: ${error.message}`);
@@ -63,13 +74,21 @@ const auth = async (req, res, next) => {
 // Socket authentication middleware
 const socketAuth = async (socket, next) => {
   try {
-    const token = socket.handshake.auth.token;
+    // Same access tokens as the REST API, from the auth payload or header
+    const header = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth.token ||
+      (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
     
     if (!token) {
       return next(new Error('Authentication error'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = TokenService.verifyAccessToken(token);
+
+    if (await SessionRegistry.isRevoked(decoded)) {
+      return next(new Error('Authentication error'));
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user || !user.isActive) {
@@ -77,6 +96,7 @@ const socketAuth = async (socket, next) => {
     }
 
     socket.user = user;
+    socket.token = decoded;
     next();
   } catch (error) {
     logger.error(`Socket auth error: ${error.message}`);
@@ -84,5 +104,63 @@ const socketAuth = async (socket, next) => {
   }
 };
 
-module.exports = { auth, socketAuth };
+// Allow only users whose role is at least `role` (player < support < admin).
+// Must run after auth.
+const authorize = (role) => (req, res, next) => {
+  if (!req.user.hasRole(role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions.'
+    });
+  }
+  next();
+};
+
+// Funds can only leave accounts whose email address has been verified.
+// Must run after auth.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Verify your email address first.',
+      emailVerificationRequired: true
+    });
+  }
+  next();
+};
+
+// Sensitive actions need a fresh TOTP code in req.body.totpCode when the
+// user has two-factor authentication enabled. Must run after auth.
+const requireTwoFactor = async (req, res, next) => {
+  if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+    return next();
+  }
+
+  try {
+    if (!req.body.totpCode) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor code required.',
+        twoFactorRequired: true
+      });
+    }
+
+    if (!(await TwoFactorService.verifyTotp(req.user._id, req.body.totpCode))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error(`Two-factor middleware error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification.'
+    });
+  }
+};
+
+module.exports = { auth, authorize, socketAuth, requireVerifiedEmail, requireTwoFactor };
                 
\ No newline at end of file
@@ -0,0 +1,13 @@
+const rateLimit = require('express-rate-limit');
+
+// Stricter limit for credential endpoints, on top of the global API limiter
+const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW) || 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts, please try again later.'
+  }
+});
+
+module.exports = { authLimiter };
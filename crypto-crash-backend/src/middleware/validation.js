@@ -0,0 +1,288 @@
+const Joi = require('joi');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const config = require('../config/config');
+const { CRASH_FORMULAS } = require('crypto-crash-shared');
+
+const currency = Joi.string().valid('BTC', 'ETH', 'LTC', 'ADA', 'DOT');
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Two-factor code must be 6 digits'
+});
+// TOTP code or a one-time recovery code
+const secondFactor = Joi.string().trim().max(32);
+
+// Validate req[property] against a Joi schema and replace it with the sanitized value
+const validate = (schema, property = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[property], {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  req[property] = value;
+  next();
+};
+
+const reason = Joi.string().trim().min(3).max(500);
+const objectId = Joi.string().hex().length(24);
+const page = Joi.number().integer().min(1).default(1);
+// USD amount, or null to lift the limit
+const usdLimit = Joi.number().min(0).max(1e12).allow(null);
+const limit = Joi.number().integer().min(1).max(100).default(20);
+
+const crashConfig = Joi.object({
+  formula: Joi.string().valid(...CRASH_FORMULAS),
+  houseEdge: Joi.number().min(0).max(0.5),
+  maxMultiplier: Joi.number().min(1.01).max(1000000),
+  minMultiplier: Joi.number().min(1).max(100),
+  instantCrashProbability: Joi.number().min(0).max(1),
+  precision: Joi.number().integer().min(0).max(8)
+});
+
+// Next auto bet after a win or loss: back to the base bet or up by a percentage
+const betAdjustment = Joi.object({
+  action: Joi.string().valid('reset', 'increase').default('reset'),
+  percent: Joi.number().min(0).max(1000).default(0)
+}).default({ action: 'reset', percent: 0 });
+
+const schemas = {
+  register: Joi.object({
+    email: Joi.string().email().lowercase().trim().required(),
+    password: Joi.string().min(6).max(128).required(),
+    username: Joi.string().trim().min(3).max(20).required()
+  }),
+
+  login: Joi.object({
+    email: Joi.string().email().lowercase().trim().required(),
+    password: Joi.string().max(128).required()
+  }),
+
+  loginTwoFactor: Joi.object({
+    challengeToken: Joi.string().max(1024).required(),
+    code: secondFactor.required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: totpCode.required()
+  }),
+
+  twoFactorConfirm: Joi.object({
+    totpCode
+  }),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().max(128).required(),
+    code: secondFactor.required()
+  }),
+
+  refresh: Joi.object({
+    refreshToken: Joi.string().max(256).required()
+  }),
+
+  logout: Joi.object({
+    refreshToken: Joi.string().max(256),
+    allDevices: Joi.boolean().default(false)
+  }),
+
+  emailToken: Joi.object({
+    token: Joi.string().max(1024).required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().lowercase().trim().required()
+  }),
+
+  // code is required when the account has two-factor authentication on
+  resetPassword: Joi.object({
+    token: Joi.string().max(1024).required(),
+    password: Joi.string().min(6).max(128).required(),
+    code: secondFactor
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().max(128).required(),
+    newPassword: Joi.string().min(6).max(128).invalid(Joi.ref('currentPassword')).required()
+      .messages({ 'any.invalid': 'New password must differ from the current one' }),
+    totpCode
+  }),
+
+  deactivate: Joi.object({
+    password: Joi.string().max(128).required()
+  }),
+
+  protectionLimits: Joi.object(
+    User.PLAYER_LIMITS.reduce((keys, name) => ({ ...keys, [name]: usdLimit }), {})
+  ).or(...User.PLAYER_LIMITS),
+
+  coolOff: Joi.object({
+    hours: Joi.number().valid(...config.protection.coolOffHours).required()
+  }),
+
+  selfExclusion: Joi.object({
+    months: Joi.number().valid(...config.protection.selfExclusionMonths).required(),
+    password: Joi.string().max(128).required()
+  }),
+
+  reminderInterval: Joi.object({
+    reminderInterval: Joi.number().valid(...config.protection.reminderIntervals).required()
+  }),
+
+  sessionSummary: Joi.object({
+    since: Joi.date().max('now').required()
+  }),
+
+  verifyProof: Joi.object({
+    seed: Joi.string().max(256).required(),
+    hash: Joi.string().max(256).required(),
+    roundNumber: Joi.number().integer().min(1).required(),
+    crashPoint: Joi.number().min(1).required(),
+    clientSeed: Joi.string().allow('').max(256).default(''),
+    crashConfig,
+    previousSeed: Joi.string().max(256)
+  }),
+
+  simulate: Joi.object({
+    gameMode: Joi.string().max(50),
+    crashConfig: crashConfig.default({}),
+    rounds: Joi.number().integer().min(1).max(20000).default(10000),
+    seed: Joi.string().max(256),
+    targets: Joi.array().items(Joi.number().min(1)).min(1).max(20)
+  }),
+
+  autoBetProgram: Joi.object({
+    roomId: Joi.string().max(50),
+    currency: currency.required(),
+    baseBet: Joi.number().min(0.01).required(),
+    autoCashOut: Joi.number().min(1.01).required(),
+    rounds: Joi.number().integer().min(1).max(10000).required(),
+    stopOnProfit: Joi.number().positive().allow(null).default(null),
+    stopOnLoss: Joi.number().positive().allow(null).default(null),
+    onWin: betAdjustment,
+    onLoss: betAdjustment
+  }),
+
+  walletTransactions: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    type: Joi.string().valid(...Transaction.TYPES),
+    currency,
+    roundId: Joi.string().max(100),
+    from: Joi.date().iso(),
+    to: Joi.date().iso()
+  }),
+
+  convert: Joi.object({
+    from: currency.required(),
+    to: currency.required(),
+    amount: Joi.number().positive().required()
+  }).custom((value, helpers) => (
+    value.from === value.to ? helpers.message('"to" must differ from "from"') : value
+  )),
+
+  withdraw: Joi.object({
+    currency: currency.required(),
+    amount: Joi.number().positive().required(),
+    address: Joi.string().trim().min(20).max(128).required(),
+    totpCode
+  }),
+
+  withdrawals: Joi.object({
+    page,
+    limit
+  }),
+
+  adminWithdrawals: Joi.object({
+    status: Joi.string().valid(...Withdrawal.STATUSES),
+    userId: objectId,
+    page,
+    limit
+  }),
+
+  adminCompleteWithdrawal: Joi.object({
+    txHash: Joi.string().trim().min(8).max(128).required(),
+    reason: reason.allow('').default('')
+  }),
+
+  adminRejectWithdrawal: Joi.object({
+    reason: reason.required()
+  }),
+
+  adminUsers: Joi.object({
+    search: Joi.string().trim().max(100),
+    role: Joi.string().valid(...User.ROLES),
+    isActive: Joi.boolean(),
+    page,
+    limit
+  }),
+
+  adminAdjustBalance: Joi.object({
+    currency: currency.required(),
+    amount: Joi.number().invalid(0).required(),
+    reason: reason.required()
+  }),
+
+  adminUserStatus: Joi.object({
+    isActive: Joi.boolean().required(),
+    reason: reason.required()
+  }),
+
+  adminUserRole: Joi.object({
+    role: Joi.string().valid(...User.ROLES).required(),
+    reason: reason.required()
+  }),
+
+  adminUserRiskLimits: Joi.object({
+    dailyWagerLimit: usdLimit,
+    dailyLossLimit: usdLimit,
+    reason: reason.required()
+  }).or('dailyWagerLimit', 'dailyLossLimit'),
+
+  riskSettings: Joi.object({
+    maxWinPerBet: usdLimit,
+    maxRoundExposure: usdLimit,
+    dailyWagerLimit: usdLimit,
+    dailyLossLimit: usdLimit,
+    reason: reason.required()
+  }).or('maxWinPerBet', 'maxRoundExposure', 'dailyWagerLimit', 'dailyLossLimit'),
+
+  adminReason: Joi.object({
+    reason: reason.allow('').default('')
+  }),
+
+  // source says where the seed came from, e.g. which block's hash it is
+  adminClientSeed: Joi.object({
+    chainId: objectId.required(),
+    clientSeed: Joi.string().trim().min(1).max(256).required(),
+    source: Joi.string().trim().min(3).max(500).required(),
+    reason: reason.allow('').default('')
+  }),
+
+  auditLog: Joi.object({
+    actorId: objectId,
+    action: Joi.string().max(100),
+    targetType: Joi.string().valid('user', 'game', 'settings', 'withdrawal'),
+    targetId: Joi.string().max(100),
+    page,
+    limit
+  }),
+
+  hashChain: Joi.object({
+    roomId: Joi.string().max(50)
+  }),
+
+  exportRounds: Joi.object({
+    fromRound: Joi.number().integer().min(1),
+    toRound: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(10000).default(1000)
+  })
+};
+
+module.exports = { validate, schemas };
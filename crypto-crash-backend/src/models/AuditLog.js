@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions, taken through the admin API or
+// by the server itself (actorRole 'system', no actorId)
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorUsername: {
+    type: String,
+    required: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  // e.g. 'user.balance_adjusted', 'game.paused'
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'game', 'settings', 'withdrawal'],
+    required: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const STATUSES = ['active', 'completed', 'cancelled', 'failed'];
+
+// How the next bet changes after a win or a loss: back to the base bet, or
+// up by a percentage of the last one (100 on loss is a martingale)
+const adjustmentSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['reset', 'increase'],
+    default: 'reset'
+  },
+  percent: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// A player's auto-bet program, run by the game loop one bet per round
+// until it completes, fails or is cancelled. Amounts are in USD.
+const autoBetProgramSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['BTC', 'ETH', 'LTC', 'ADA', 'DOT']
+  },
+  baseBet: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  autoCashOut: {
+    type: Number,
+    required: true,
+    min: 1.01
+  },
+  rounds: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  stopOnProfit: {
+    type: Number,
+    default: null
+  },
+  stopOnLoss: {
+    type: Number,
+    default: null
+  },
+  onWin: {
+    type: adjustmentSchema,
+    default: () => ({})
+  },
+  onLoss: {
+    type: adjustmentSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'active'
+  },
+  stopReason: {
+    type: String,
+    default: null
+  },
+  currentBet: {
+    type: Number,
+    required: true
+  },
+  roundsPlayed: {
+    type: Number,
+    default: 0
+  },
+  netProfit: {
+    type: Number,
+    default: 0
+  },
+  // Bet placed for the round in progress, settled with that round
+  pendingBet: {
+    type: new mongoose.Schema({
+      gameId: mongoose.Schema.Types.ObjectId,
+      roundId: String,
+      betId: mongoose.Schema.Types.ObjectId
+    }, { _id: false }),
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// One running program per user
+autoBetProgramSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+autoBetProgramSchema.index({ roomId: 1, status: 1 });
+autoBetProgramSchema.index({ 'pendingBet.gameId': 1 });
+autoBetProgramSchema.index({ userId: 1, createdAt: -1 });
+
+// Count a settled bet's profit and work out the next bet, never above the
+// room's maximum, ending the program when it has run its rounds or hit a
+// profit or loss target
+autoBetProgramSchema.methods.applyResult = function(profit) {
+  this.roundsPlayed += 1;
+  this.netProfit += profit;
+  this.pendingBet = null;
+
+  const adjustment = profit > 0 ? this.onWin : this.onLoss;
+  this.currentBet = adjustment.action === 'increase'
+    ? Math.min(
+      Math.round(this.currentBet * (1 + adjustment.percent / 100) * 100) / 100,
+      config.getRoomConfig(this.roomId).maxBet
+    )
+    : this.baseBet;
+
+  // Cancelled while its last bet was in play
+  if (this.status !== 'active') return;
+
+  if (this.stopOnProfit && this.netProfit >= this.stopOnProfit) {
+    this.end('completed', 'Profit target reached');
+  } else if (this.stopOnLoss && -this.netProfit >= this.stopOnLoss) {
+    this.end('completed', 'Loss limit reached');
+  } else if (this.roundsPlayed >= this.rounds) {
+    this.end('completed', `Played ${this.rounds} rounds`);
+  }
+};
+
+autoBetProgramSchema.methods.end = function(status, reason) {
+  this.status = status;
+  this.stopReason = reason;
+  this.endedAt = new Date();
+};
+
+autoBetProgramSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('AutoBetProgram', autoBetProgramSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences that survive restarts
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Make sure a sequence never hands out a value at or below `value`
+counterSchema.statics.ensureAtLeast = async function(name, value) {
+  await this.updateOne(
+    { _id: name },
+    { $max: { seq: value } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
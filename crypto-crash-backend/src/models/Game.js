@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CRASH_CONFIG, CRASH_FORMULAS } = require('crypto-crash-shared');
+const config = require('../config/config');
+
+// One cashout of part (or the rest) of a bet's stake
+const cashoutLegSchema = new mongoose.Schema({
+  // Share of the stake cashed out, in the bet's currency
+  cryptoAmount: {
+    type: Number,
+    required: true
+  },
+  multiplier: {
+    type: Number,
+    required: true
+  },
+  // USD value of the credited payout
+  payout: {
+    type: Number,
+    required: true
+  },
+  isAuto: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the house cashed the bet out: at its maximum win or because
+  // the round reached its exposure limit
+  forced: {
+    type: String,
+    enum: ['max_win', 'exposure', null],
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const betSchema = new mongoose.Schema({
   userId: {
@@ -28,6 +63,11 @@ const betSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Part of cryptoAmount staked from demo funds
+  demoAmount: {
+    type: Number,
+    default: 0
+  },
   cashOutAt: {
     type: Number,
     default: null
@@ -36,6 +76,11 @@ const betSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Multiplier at which the bet reaches the maximum win and is cashed out
+  maxCashOut: {
+    type: Number,
+    default: null
+  },
   cashedOut: {
     type: Boolean,
     default: false
@@ -44,29 +89,104 @@ const betSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // Sum of the legs' payouts. cashedOut is set once the whole stake is
+  // out, with cashedOutAt the multiplier of the last leg.
   payout: {
     type: Number,
     default: 0
   },
+  cashouts: {
+    type: [cashoutLegSchema],
+    default: []
+  },
   profit: {
     type: Number,
     default: 0
   },
+  // Stake returned because the round was interrupted
+  refunded: {
+    type: Boolean,
+    default: false
+  },
   placedAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Part of the stake still riding, in the bet's currency
+betSchema.methods.getOpenCryptoAmount = function() {
+  const cashedOut = (this.cashouts || []).reduce((sum, leg) => sum + leg.cryptoAmount, 0);
+  return Math.max(this.cryptoAmount - cashedOut, 0);
+};
+
+// Demo funds in `amount` paid back on the bet, in proportion to the part
+// of the stake that was demo funds
+betSchema.methods.getDemoShare = function(amount) {
+  return this.demoAmount ? amount * this.demoAmount / this.cryptoAmount : 0;
+};
+
+// Where the bet cashes out by itself: the player's auto cashout or the
+// maximum win, whichever comes first. Recovery settles by the same rule.
+betSchema.methods.getCashoutTarget = function() {
+  if (this.autoCashOut && (!this.maxCashOut || this.autoCashOut <= this.maxCashOut)) {
+    return { multiplier: this.autoCashOut, forced: null };
+  }
+  return this.maxCashOut ? { multiplier: this.maxCashOut, forced: 'max_win' } : null;
+};
+
+// Defaults match the parameters every round used before they became
+// configurable, so older rounds keep verifying
+const crashConfigSchema = new mongoose.Schema({
+  // Rounds stored without a formula were generated with the legacy one
+  formula: {
+    type: String,
+    enum: CRASH_FORMULAS,
+    default: 'legacy'
+  },
+  houseEdge: {
+    type: Number,
+    default: DEFAULT_CRASH_CONFIG.houseEdge
+  },
+  maxMultiplier: {
+    type: Number,
+    default: DEFAULT_CRASH_CONFIG.maxMultiplier
+  },
+  minMultiplier: {
+    type: Number,
+    default: DEFAULT_CRASH_CONFIG.minMultiplier
+  },
+  instantCrashProbability: {
+    type: Number,
+    default: DEFAULT_CRASH_CONFIG.instantCrashProbability
+  },
+  precision: {
+    type: Number,
+    default: DEFAULT_CRASH_CONFIG.precision
+  }
+}, { _id: false });
+
 const gameSchema = new mongoose.Schema({
   roundId: {
     type: String,
     required: true,
     unique: true
   },
+  // Always set on new rounds. Not required, as rounds from before it was
+  // stored must still save; their number is in the roundId.
+  roundNumber: {
+    type: Number,
+    min: 1
+  },
+  // Game room the round was played in; older rounds predate rooms
+  roomId: {
+    type: String,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['waiting', 'running', 'crashed', 'completed'],
+    // cancelled: interrupted before it started and refunded during recovery
+    enum: ['waiting', 'running', 'crashed', 'completed', 'cancelled'],
     default: 'waiting'
   },
   startedAt: {
@@ -77,10 +197,32 @@ const gameSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  // Precomputed from crashPoint and growthRate when the round starts;
+  // never broadcast before the crash since it reveals the crash point
+  crashAt: {
+    type: Date,
+    default: null
+  },
+  growthRate: {
+    type: Number,
+    default: null
+  },
   crashPoint: {
     type: Number,
     default: null
   },
+  gameMode: {
+    type: String,
+    default: 'standard'
+  },
+  crashConfig: {
+    type: crashConfigSchema,
+    default: () => ({})
+  },
   seed: {
     type: String,
     required: true
@@ -89,11 +231,55 @@ const gameSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  clientSeed: {
+    type: String,
+    default: ''
+  },
+  chainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HashChain',
+    default: null
+  },
+  chainPosition: {
+    type: Number,
+    default: null
+  },
   currentMultiplier: {
     type: Number,
     default: 1.00
   },
   bets: [betSchema],
+  // Set when the round was interrupted by a restart and settled on startup
+  recovery: {
+    type: new mongoose.Schema({
+      policy: {
+        type: String,
+        enum: ['refund', 'resolve'],
+        required: true
+      },
+      previousStatus: {
+        type: String,
+        required: true
+      },
+      refundedBets: {
+        type: Number,
+        default: 0
+      },
+      wonBets: {
+        type: Number,
+        default: 0
+      },
+      lostBets: {
+        type: Number,
+        default: 0
+      },
+      recoveredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: null
+  },
   totalBets: {
     type: Number,
     default: 0
@@ -109,8 +295,19 @@ const gameSchema = new mongoose.Schema({
 });
 
 gameSchema.index({ roundId: 1 });
+gameSchema.index({ roundNumber: 1 }, { unique: true, sparse: true });
 gameSchema.index({ status: 1 });
 gameSchema.index({ createdAt: -1 });
+gameSchema.index({ roomId: 1, status: 1, createdAt: -1 });
+gameSchema.index({ chainId: 1, chainPosition: 1 });
+
+// Query matching a room's rounds. Rounds from before rooms existed have no
+// roomId and belong to the default room.
+gameSchema.statics.roomQuery = function(roomId) {
+  return roomId === config.defaultRoom
+    ? { roomId: { $in: [roomId, null] } }
+    : { roomId };
+};
 
 module.exports = mongoose.model('Game', gameSchema);
                 
\ No newline at end of file
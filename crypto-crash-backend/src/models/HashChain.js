@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const hashChainSchema = new mongoose.Schema({
+  // Each room draws from a chain of its own: seeds revealed in one room
+  // must not give away the seeds of rounds still running in another
+  roomId: {
+    type: String,
+    default: null
+  },
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  checkpointInterval: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Every checkpointInterval-th link starting at the secret (link 0).
+  // Never expose these: they allow computing every future seed.
+  checkpoints: {
+    type: [String],
+    required: true,
+    select: false
+  },
+  terminatingHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Mixed into every crash point. Set by an admin only after the
+  // terminating hash is published, from a value nobody knew then (e.g. the
+  // hash of a future block announced with the chain), so the chain can't
+  // have been picked to suit it. No rounds are drawn before it is set.
+  clientSeed: {
+    type: String,
+    default: null
+  },
+  // Where the client seed came from, for players to check
+  clientSeedSource: {
+    type: String,
+    default: ''
+  },
+  clientSeedSetAt: {
+    type: Date,
+    default: null
+  },
+  used: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  exhausted: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+hashChainSchema.index({ roomId: 1, exhausted: 1, createdAt: -1 });
+
+// The chain a room is drawing from. Chains from before rooms had their
+// own carry no roomId and stay with the default room.
+hashChainSchema.statics.findActive = function(roomId) {
+  const rooms = roomId === config.defaultRoom ? [roomId, null] : [roomId];
+  return this.findOne({ roomId: { $in: rooms }, exhausted: false })
+    .sort({ createdAt: -1 });
+};
+
+// Commit the client seed, once per chain
+hashChainSchema.statics.setClientSeed = function(chainId, { clientSeed, source }, session = null) {
+  return this.findOneAndUpdate(
+    { _id: chainId, clientSeedSetAt: null },
+    { $set: { clientSeed, clientSeedSource: source, clientSeedSetAt: new Date() } },
+    { new: true, session }
+  );
+};
+
+module.exports = mongoose.model('HashChain', hashChainSchema);
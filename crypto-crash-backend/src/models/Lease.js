@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A named lock held by one instance until expiresAt unless renewed
+const leaseSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  holder: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Lease', leaseSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Hits counted against a key in one fixed window, shared by every instance
+const rateLimitSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Mongo drops windows once they are over
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a hit against key in the current window and return the window's count
+rateLimitSchema.statics.hit = async function(key, windowMs, now = Date.now()) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const filter = { _id: `${key}:${windowStart}` };
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { expiresAt: new Date(windowStart + windowMs) }
+  };
+
+  try {
+    const entry = await this.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    return entry.count;
+  } catch (error) {
+    // Two first hits raced to insert the window; the loser can just count
+    if (error.code !== 11000) throw error;
+    const entry = await this.findOneAndUpdate(filter, update, { new: true });
+    return entry.count;
+  }
+};
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
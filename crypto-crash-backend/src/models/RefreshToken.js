@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only the token's hash is
+// stored. Tokens rotate on every use; all tokens descending from one login
+// share a family so a replayed token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let Mongo drop tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
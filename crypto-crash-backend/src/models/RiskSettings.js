@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Risk limits editable at runtime, in a single document with _id 'global'.
+// A null limit is not enforced, while 0 allows nothing; see config.risk for what each one means.
+const riskSettingsSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'global'
+  },
+  maxWinPerBet: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  maxRoundExposure: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  dailyWagerLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  dailyLossLimit: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+riskSettingsSchema.statics.LIMITS = ['maxWinPerBet', 'maxRoundExposure', 'dailyWagerLimit', 'dailyLossLimit'];
+
+module.exports = mongoose.model('RiskSettings', riskSettingsSchema);
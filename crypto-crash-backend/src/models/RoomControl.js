@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const STATES = ['running', 'paused', 'drained'];
+
+// The state an admin last put a game room in. It is committed together with
+// the audit entry, and whichever instance leads applies it before starting
+// a round, so a pause outlasts a change of leader.
+const roomControlSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: STATES,
+    default: 'running'
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roomControlSchema.statics.STATES = STATES;
+
+module.exports = mongoose.model('RoomControl', roomControlSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = [
+  'bet_debit',
+  'cashout_credit',
+  'deposit',
+  'withdrawal',
+  'bonus',
+  'demo_credit',
+  'adjustment',
+  'refund',
+  'conversion'
+];
+
+// Account every type balances the player's wallet against
+const COUNTER_ACCOUNTS = {
+  bet_debit: 'house',
+  cashout_credit: 'house',
+  refund: 'house',
+  deposit: 'external',
+  withdrawal: 'external',
+  bonus: 'promotions',
+  demo_credit: 'demo',
+  adjustment: 'adjustments',
+  conversion: 'exchange'
+};
+
+// One leg of a double-entry transaction. Accounts are named
+// "user:<userId>:<currency>" for player wallets and "<name>:<currency>"
+// for house-side accounts; a positive amount increases the account.
+const entrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: TRANSACTION_TYPES
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['BTC', 'ETH', 'LTC', 'ADA', 'DOT']
+  },
+  // Signed change to the user's wallet
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Part of amount that is demo funds; negative when a debit spent them
+  demoAmount: {
+    type: Number,
+    default: 0
+  },
+  balanceBefore: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  entries: {
+    type: [entrySchema],
+    required: true
+  },
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    default: null
+  },
+  roundId: {
+    type: String,
+    default: null
+  },
+  betId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // USD price of the currency when the transaction was posted
+  usdPrice: {
+    type: Number,
+    required: true
+  },
+  usdValue: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Entries must balance: whatever leaves one account lands in another
+transactionSchema.pre('validate', function(next) {
+  const total = this.entries.reduce((sum, entry) => sum + entry.amount, 0);
+
+  if (this.entries.length < 2 || Math.abs(total) > 1e-12) {
+    return next(new Error('Transaction entries must balance'));
+  }
+  next();
+});
+
+transactionSchema.statics.TYPES = TRANSACTION_TYPES;
+transactionSchema.statics.COUNTER_ACCOUNTS = COUNTER_ACCOUNTS;
+
+transactionSchema.statics.userAccount = function(userId, currency) {
+  return `user:${userId}:${currency}`;
+};
+
+transactionSchema.statics.counterAccount = function(type, currency) {
+  return `${COUNTER_ACCOUNTS[type]}:${currency}`;
+};
+
+transactionSchema.index({ userId: 1, createdAt: -1 });
+transactionSchema.index({ 'entries.account': 1 });
+transactionSchema.index({ gameId: 1, betId: 1 });
+
+module.exports = mongoose.model('Transaction', transactionSchema);
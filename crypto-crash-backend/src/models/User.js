@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Ordered from least to most privileged
+const ROLES = ['player', 'support', 'admin'];
+
 const walletSchema = new mongoose.Schema({
   currency: {
     type: String,
@@ -12,12 +15,59 @@ const walletSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Part of the balance that is demo funds or was won with them. It can be
+  // played but not withdrawn, and is spent only once the rest is gone.
+  demoBalance: {
+    type: Number,
+    default: 0
+  },
   usdValue: {
     type: Number,
     default: 0
   }
 });
 
+// Wager and loss limits a player can set on themselves, per calendar period (UTC)
+const PLAYER_LIMITS = ['dailyWager', 'weeklyWager', 'monthlyWager', 'dailyLoss', 'weeklyLoss', 'monthlyLoss'];
+
+// A player-set limit in USD, null for none. A raise or removal waits until
+// pendingFrom; while one waits, amount is still the limit in force.
+const playerLimitSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    default: null
+  },
+  pendingAmount: {
+    type: Number,
+    default: null
+  },
+  pendingFrom: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const protectionSchema = new mongoose.Schema({
+  limits: PLAYER_LIMITS.reduce((paths, name) => ({
+    ...paths,
+    [name]: { type: playerLimitSchema, default: () => ({}) }
+  }), {}),
+  // No betting until these times; neither can be shortened once set
+  coolOffUntil: {
+    type: Date,
+    default: null
+  },
+  selfExcludedUntil: {
+    type: Date,
+    default: null
+  },
+  // Minutes between session reminders in the game, 0 for none
+  reminderInterval: {
+    type: Number,
+    default: 60
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -39,6 +89,11 @@ const userSchema = new mongoose.Schema({
     minlength: 3,
     maxlength: 20
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'player'
+  },
   wallets: [walletSchema],
   totalBets: {
     type: Number,
@@ -56,6 +111,54 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Player protection settings chosen by the user
+  protection: {
+    type: protectionSchema,
+    default: () => ({})
+  },
+  // Daily limits set by staff for this user, in place of the house-wide ones
+  riskLimits: {
+    dailyWagerLimit: {
+      type: Number,
+      default: null
+    },
+    dailyLossLimit: {
+      type: Number,
+      default: null
+    }
+  },
+  // Unverified accounts can play with their demo balances but can't move funds out
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret; pendingSecret holds it until enrollment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    enabledAt: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -64,6 +167,14 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.password;
+      delete ret.__v;
+      return ret;
+    }
+  }
 });
 
 // Hash password before saving
@@ -84,6 +195,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the user's role is at least `role`
+userSchema.methods.hasRole = function(role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
 // Initialize default wallets
 userSchema.methods.initializeWallets = function() {
   const currencies = ['BTC', 'ETH', 'LTC', 'ADA', 'DOT'];
@@ -97,5 +213,8 @@ userSchema.methods.initializeWallets = function() {
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.PLAYER_LIMITS = PLAYER_LIMITS;
+
 module.exports = mongoose.model('User', userSchema);
                 
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'completed', 'rejected'];
+
+// A player's request to send funds to an external address. The amount
+// leaves the wallet when requested and is held until staff either pay it
+// out (completed, with the payout's transaction hash) or reject it, which
+// returns it to the wallet.
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['BTC', 'ETH', 'LTC', 'ADA', 'DOT']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  address: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  // Ledger debit taken at request time, and its reversal on rejection
+  debitTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  reversalTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  txHash: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+
+withdrawalSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
@@ -0,0 +1,52 @@
+const express = require('express');
+const {
+  listUsers,
+  getUser,
+  adjustBalance,
+  setUserStatus,
+  setUserRole,
+  setUserRiskLimits,
+  listWithdrawals,
+  completeWithdrawal,
+  rejectWithdrawal,
+  getConnections,
+  getGameStatus,
+  getRoomStatus,
+  pauseGame,
+  resumeGame,
+  drainGame,
+  setClientSeed,
+  getRiskSettings,
+  updateRiskSettings,
+  getAuditLog
+} = require('../controllers/adminController');
+const { auth, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Support staff can look; only admins can change anything
+router.use(auth, authorize('support'));
+
+router.get('/users', validate(schemas.adminUsers, 'query'), listUsers);
+router.get('/users/:userId', getUser);
+router.get('/withdrawals', validate(schemas.adminWithdrawals, 'query'), listWithdrawals);
+router.get('/connections', getConnections);
+router.get('/game', getGameStatus);
+router.get('/game/:roomId', getRoomStatus);
+router.get('/risk', getRiskSettings);
+
+router.post('/users/:userId/adjust-balance', authorize('admin'), validate(schemas.adminAdjustBalance), adjustBalance);
+router.patch('/users/:userId/status', authorize('admin'), validate(schemas.adminUserStatus), setUserStatus);
+router.patch('/users/:userId/role', authorize('admin'), validate(schemas.adminUserRole), setUserRole);
+router.patch('/users/:userId/risk', authorize('admin'), validate(schemas.adminUserRiskLimits), setUserRiskLimits);
+router.post('/withdrawals/:withdrawalId/complete', authorize('admin'), validate(schemas.adminCompleteWithdrawal), completeWithdrawal);
+router.post('/withdrawals/:withdrawalId/reject', authorize('admin'), validate(schemas.adminRejectWithdrawal), rejectWithdrawal);
+router.post('/game/:roomId/pause', authorize('admin'), validate(schemas.adminReason), pauseGame);
+router.post('/game/:roomId/resume', authorize('admin'), validate(schemas.adminReason), resumeGame);
+router.post('/game/:roomId/drain', authorize('admin'), validate(schemas.adminReason), drainGame);
+router.post('/game/:roomId/client-seed', authorize('admin'), validate(schemas.adminClientSeed), setClientSeed);
+router.patch('/risk', authorize('admin'), validate(schemas.riskSettings), updateRiskSettings);
+router.get('/audit-log', authorize('admin'), validate(schemas.auditLog, 'query'), getAuditLog);
+
+module.exports = router;
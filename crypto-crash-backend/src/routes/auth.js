@@ -0,0 +1,50 @@
+const express = require('express');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  me,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  deactivate
+} = require('../controllers/authController');
+const twoFactor = require('../controllers/twoFactorController');
+const protection = require('../controllers/protectionController');
+const { auth, requireTwoFactor } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.post('/register', authLimiter, validate(schemas.register), register);
+router.post('/login', authLimiter, validate(schemas.login), login);
+router.post('/login/2fa', authLimiter, validate(schemas.loginTwoFactor), loginTwoFactor);
+router.post('/refresh', authLimiter, validate(schemas.refresh), refresh);
+router.post('/verify-email', authLimiter, validate(schemas.emailToken), verifyEmail);
+router.post('/forgot-password', authLimiter, validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', authLimiter, validate(schemas.resetPassword), resetPassword);
+
+router.get('/me', auth, me);
+router.post('/logout', auth, validate(schemas.logout), logout);
+router.post('/resend-verification', auth, authLimiter, resendVerification);
+router.post('/change-password', auth, authLimiter, validate(schemas.changePassword), requireTwoFactor, changePassword);
+router.post('/deactivate', auth, authLimiter, validate(schemas.deactivate), deactivate);
+
+router.post('/2fa/setup', auth, twoFactor.setup);
+router.post('/2fa/enable', auth, authLimiter, validate(schemas.twoFactorCode), twoFactor.enable);
+router.post('/2fa/disable', auth, authLimiter, validate(schemas.twoFactorDisable), twoFactor.disable);
+router.post('/2fa/recovery-codes', auth, authLimiter, validate(schemas.twoFactorConfirm), requireTwoFactor, twoFactor.regenerateRecoveryCodes);
+
+// Player protection
+router.get('/protection', auth, protection.getProtection);
+router.put('/protection/limits', auth, validate(schemas.protectionLimits), protection.setLimits);
+router.post('/protection/cool-off', auth, validate(schemas.coolOff), protection.coolOff);
+router.post('/protection/self-exclusion', auth, authLimiter, validate(schemas.selfExclusion), protection.selfExclude);
+router.put('/protection/reminders', auth, validate(schemas.reminderInterval), protection.setReminderInterval);
+
+module.exports = router;
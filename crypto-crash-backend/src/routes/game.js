@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+  getRoundProof,
+  verifyProof,
+  exportRounds,
+  simulate,
+  getHashChain,
+  getRooms,
+  cancelBet
+} = require('../controllers/gameController');
+const {
+  listAutoBets,
+  startAutoBet,
+  cancelAutoBet
+} = require('../controllers/autoBetController');
+const { auth, authorize } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.get('/rooms', getRooms);
+router.delete('/bets/:betId', auth, cancelBet);
+
+// Server-side auto-bet programs
+router.get('/autobets', auth, listAutoBets);
+router.post('/autobets', auth, validate(schemas.autoBetProgram), startAutoBet);
+router.delete('/autobets/:programId', auth, cancelAutoBet);
+
+// Public fairness endpoints
+router.get('/chain', validate(schemas.hashChain, 'query'), getHashChain);
+router.get('/rounds/export', validate(schemas.exportRounds, 'query'), exportRounds);
+router.get('/rounds/:roundId/proof', getRoundProof);
+router.post('/verify', validate(schemas.verifyProof), verifyProof);
+
+// Configuration tooling
+router.post('/simulate', auth, authorize('admin'), validate(schemas.simulate), simulate);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getWallet,
+  getTransactions,
+  convert,
+  withdraw,
+  getWithdrawals
+} = require('../controllers/walletController');
+const { auth, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get('/', getWallet);
+router.get('/transactions', validate(schemas.walletTransactions, 'query'), getTransactions);
+router.post('/convert', validate(schemas.convert), convert);
+router.post('/withdraw', requireVerifiedEmail, validate(schemas.withdraw), requireTwoFactor, withdraw);
+router.get('/withdrawals', validate(schemas.withdrawals, 'query'), getWithdrawals);
+
+module.exports = router;
@@ -5,8 +5,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
 const connectDB = require('./config/database');
 const WebSocketService = require('./services/websocket');
+const ReconciliationService = require('./services/reconciliationService');
+const config = require('./config/config');
 const logger = require('./utils/logger');
 
 // Import routes
@@ -14,13 +17,11 @@ const authRoutes = require('./routes/auth');
 const gameRoutes = require('./routes/game');
 const walletRoutes = require('./routes/wallet');
 const cryptoRoutes = require('./routes/crypto');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const server = http.createServer(app);
 
-// Connect to database
-connectDB();
-
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -63,7 +64,8 @@ app.get('/health', (req, res) => {
     success: true,
     message: 'Server is healthy',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    instance: wsService.getClusterInfo()
   });
 });
 
@@ -72,6 +74,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/game', gameRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/crypto', cryptoRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -100,29 +103,69 @@ app.use((error, req, res, next) => {
 
 // Initialize WebSocket service
 const wsService = new WebSocketService(server);
+// Controllers reach live connections and the game loop through the app
+app.set('wsService', wsService);
 
-// Start server
+// Connect to database, then start the game loop (or join the cluster)
+// before accepting connections
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV}`);
-  logger.info(`Frontend URL: ${process.env.FRONTEND_URL}`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
+connectDB()
+  .then(() => wsService.start())
+  .then(() => {
+    server.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+      logger.info(`Environment: ${process.env.NODE_ENV}`);
+      logger.info(`Frontend URL: ${process.env.FRONTEND_URL}`);
+      logger.info(`Instance: ${config.cluster.instanceId}${config.cluster.enabled ? ' (cluster mode)' : ''}`);
+    });
+  })
+  .catch(error => {
+    logger.error(`Startup error: ${error.message}`);
+    process.exit(1);
   });
-});
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
+// Graceful shutdown: let the current round finish and settle while
+// connected players can still cash out, then close everything down
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  logger.info(`${signal} received, shutting down gracefully`);
+  ReconciliationService.stop();
+
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), config.shutdownTimeout);
   });
-});
+  const drained = await Promise.race([
+    wsService.drain().then(() => true),
+    timeout
+  ]);
+  clearTimeout(timer);
+
+  if (!drained) {
+    logger.warn(`Game rooms did not drain within ${config.shutdownTimeout}ms, rounds left unsettled`);
+  }
+
+  // Let another instance take over the game loop without waiting for the lease to expire
+  try {
+    await wsService.resign();
+  } catch (error) {
+    logger.error(`Failed to release game-loop lease: ${error.message}`);
+  }
+
+  // Closes the HTTP server along with the socket connections
+  wsService.io.close();
+  await mongoose.connection.close();
+
+  logger.info('Process terminated');
+  process.exit(drained ? 0 : 1);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
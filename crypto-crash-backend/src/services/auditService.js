@@ -0,0 +1,43 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+class AuditService {
+
+  // Record an action taken by req.user. Pass `session` to commit the entry
+  // together with the change it describes.
+  static async record(req, { action, targetType, targetId = null, reason = '', details = {}, session }) {
+    const [entry] = await AuditLog.create([{
+      actorId: req.user._id,
+      actorUsername: req.user.username,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: targetId === null ? null : targetId.toString(),
+      reason,
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || ''
+    }], { session });
+
+    logger.info(`Audit: ${req.user.username} ${action} ${targetType}${targetId ? ` ${targetId}` : ''}`);
+    return entry;
+  }
+
+  // Record an action the server took on its own, e.g. during startup
+  static async recordSystem({ action, targetType, targetId = null, reason = '', details = {}, session }) {
+    const [entry] = await AuditLog.create([{
+      actorUsername: 'system',
+      actorRole: 'system',
+      action,
+      targetType,
+      targetId: targetId === null ? null : targetId.toString(),
+      reason,
+      details
+    }], { session });
+
+    logger.info(`Audit: system ${action} ${targetType}${targetId ? ` ${targetId}` : ''}`);
+    return entry;
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,186 @@
+const AutoBetProgram = require('../models/AutoBetProgram');
+const Game = require('../models/Game');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Server-side auto-betting. Programs live in the database, so they keep
+// running without the player's browser and survive a change of game-loop
+// leader. The room's GameService places their bets when a round opens and
+// settles them once it has settled. Players hear about every change
+// through 'autobet_update' on their user channel.
+class AutoBetService {
+
+  static notify(io, program) {
+    io.to(`user:${program.userId}`).emit('autobet_update', program.toJSON());
+  }
+
+  static async create(userId, params) {
+    const room = config.getRoomConfig(params.roomId || config.defaultRoom);
+
+    if (!room.currencies.includes(params.currency)) {
+      throw new Error(`${params.currency} is not accepted in ${room.name}`);
+    }
+    if (params.baseBet < room.minBet || params.baseBet > room.maxBet) {
+      throw new Error(`Bets in ${room.name} must be between $${room.minBet} and $${room.maxBet}`);
+    }
+    if (params.autoCashOut > room.maxAutoCashOut) {
+      throw new Error(`Auto cashout in ${room.name} is limited to ${room.maxAutoCashOut}x`);
+    }
+
+    try {
+      return await AutoBetProgram.create({
+        ...params,
+        userId,
+        roomId: room.id,
+        currentBet: params.baseBet
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('An auto-bet program is already running');
+      }
+      throw error;
+    }
+  }
+
+  // A bet already placed for the current round still plays out
+  static cancel(userId, programId) {
+    return AutoBetProgram.findOneAndUpdate(
+      { _id: programId, userId, status: 'active' },
+      { $set: { status: 'cancelled', stopReason: 'Cancelled by player', endedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  static list(userId, limit = 20) {
+    return AutoBetProgram.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  // Place this round's bet for every active program in the room
+  static async placeBets(gameService) {
+    const game = gameService.getCurrentGame();
+    const programs = await AutoBetProgram.find({ roomId: gameService.roomId, status: 'active' });
+
+    for (let program of programs) {
+      // The bet's round was interrupted and recovery refunded or settled
+      // it; count that before betting again
+      if (program.pendingBet) {
+        program = await this.settleInterrupted(gameService, program);
+        if (!program || program.status !== 'active') continue;
+      }
+
+      try {
+        const { bet } = await gameService.placeBet(
+          program.userId,
+          program.currentBet,
+          program.currency,
+          program.autoCashOut
+        );
+
+        program.pendingBet = { gameId: game._id, roundId: game.roundId, betId: bet._id };
+        await program.save();
+
+        // Shown like a bet the player placed by hand
+        gameService.io.to(`user:${program.userId}`).emit('bet_placed_success', {
+          success: true,
+          roomId: gameService.roomId,
+          autoBetId: program._id,
+          bet
+        });
+        this.notify(gameService.io, program);
+      } catch (error) {
+        // Betting closed before every program got its turn; try next round
+        if (gameService.getCurrentGame() !== game || game.status !== 'waiting') {
+          logger.warn(`Betting closed before all auto bets in ${gameService.roomId} were placed`);
+          return;
+        }
+
+        // Unless the player cancelled it meanwhile
+        program.end('failed', error.message);
+        await AutoBetProgram.updateOne(
+          { _id: program._id, status: 'active' },
+          { $set: { status: program.status, stopReason: program.stopReason, endedAt: program.endedAt } }
+        );
+        this.notify(gameService.io, program);
+        logger.warn(`Auto-bet program ${program._id} stopped: ${error.message}`);
+      }
+    }
+  }
+
+  // Count the settled round's bets towards their programs
+  static async settleBets(gameService, game) {
+    const programs = await AutoBetProgram.find({ 'pendingBet.gameId': game._id });
+
+    for (const program of programs) {
+      try {
+        const settled = await this.settleBet(program, game);
+        if (settled) {
+          this.notify(gameService.io, settled);
+        }
+      } catch (error) {
+        logger.error(`Error settling auto bet for program ${program._id}: ${error.message}`);
+      }
+    }
+  }
+
+  // Settles a program's bet from a round that ended without it, or returns
+  // null while that round still awaits recovery
+  static async settleInterrupted(gameService, program) {
+    const game = await Game.findById(program.pendingBet.gameId).select('roundId settledAt bets');
+    if (!game || !game.settledAt) {
+      logger.warn(`Auto-bet program ${program._id} waits for round ${program.pendingBet.roundId} to be recovered`);
+      return null;
+    }
+
+    const settled = await this.settleBet(program, game);
+    if (!settled) return AutoBetProgram.findById(program._id);
+
+    this.notify(gameService.io, settled);
+    return settled;
+  }
+
+  // Written only if the program's status is still the one the result was
+  // worked out from, so a program cancelled meanwhile isn't marked
+  // completed; it is worked out again from the stored program instead
+  static async settleBet(program, game) {
+    while (program) {
+      const { status, pendingBet } = program;
+      const bet = game.bets.id(pendingBet.betId);
+
+      if (bet && bet.refunded && bet.cashouts.length === 0) {
+        // Refunded whole by recovery, so the round was never played
+        program.pendingBet = null;
+      } else if (bet) {
+        // Recovery sets a refunded bet's profit from its cashed out legs
+        program.applyResult(bet.refunded ? bet.profit : bet.payout - bet.usdAmount);
+      } else {
+        // Cancelled by the player during the betting window
+        program.pendingBet = null;
+      }
+
+      const { modifiedCount } = await AutoBetProgram.updateOne(
+        { _id: program._id, status, 'pendingBet.betId': pendingBet.betId },
+        {
+          $set: {
+            status: program.status,
+            stopReason: program.stopReason,
+            endedAt: program.endedAt,
+            currentBet: program.currentBet,
+            roundsPlayed: program.roundsPlayed,
+            netProfit: program.netProfit,
+            pendingBet: null
+          }
+        }
+      );
+      if (modifiedCount) return program;
+
+      // Gone from the query if another settlement got there first
+      program = await AutoBetProgram.findOne({ _id: program._id, 'pendingBet.gameId': game._id });
+    }
+
+    return null;
+  }
+}
+
+module.exports = AutoBetService;
@@ -1,64 +1,227 @@
+const mongoose = require('mongoose');
 const Game = require('../models/Game');
 const User = require('../models/User');
+const Counter = require('../models/Counter');
+const RoomControl = require('../models/RoomControl');
+const {
+  multiplierAt,
+  timeToMultiplier,
+  crashTimeFor,
+  displayMultiplier
+} = require('crypto-crash-shared');
 const ProvablyFair = require('./provablyFair');
+const HashChain = require('./hashChain');
+const RoundRecovery = require('./roundRecovery');
+const AutoBetService = require('./autoBetService');
 const CryptoService = require('./cryptoService');
+const LedgerService = require('./ledgerService');
+const RiskService = require('./riskService');
+const ProtectionService = require('./protectionService');
+const config = require('../config/config');
+const { withTransaction } = require('../utils/helper');
 const logger = require('../utils/logger');
 
+// Loop states and the transitions allowed between them. A round moves
+// betting -> running -> crashed -> settled; pausing and draining only ever
+// take effect between rounds (initializing or settled).
+const TRANSITIONS = {
+  initializing: ['betting', 'paused', 'drained'],
+  betting: ['running'],
+  running: ['crashed'],
+  crashed: ['settled'],
+  settled: ['betting', 'paused', 'drained'],
+  paused: ['settled', 'drained'],
+  drained: ['settled']
+};
+
+// Retry delay after a failed database step
+const RETRY_DELAY = 5000;
+
+// Runs the round loop of one game room. Events go only to sockets in the
+// room's channel and carry its roomId. Its seeds come from a HashChain of
+// its own. The loop runs from start() until halt(), only on the game-loop
+// leader.
 class GameService {
-  constructor(io) {
+  constructor(io, options = {}) {
     this.io = io;
+    this.room = config.getRoomConfig(options.roomId || config.defaultRoom);
+    this.roomId = this.room.id;
+    this.channel = GameService.channelFor(this.roomId);
+    this.gameMode = options.gameMode || this.room.gameMode;
+    this.crashConfig = config.getCrashConfig(this.gameMode);
     this.currentGame = null;
-    this.gameInterval = null;
-    this.roundNumber = 1;
+    this.state = 'initializing';
+    this.active = false;
+    this.timers = new Set();
     this.multiplierInterval = null;
-    
-    this.init();
+    this.growthRate = options.growthRate || this.room.growthRate;
+    this.hashChain = options.hashChain || new HashChain({ roomId: this.roomId });
+    // Risk limits in force for the current round, read as it opens
+    this.riskLimits = null;
+    // pause() and drain() requested mid-round wait for it to settle
+    this.pauseRequested = false;
+    this.pauseReason = null;
+    this.draining = false;
+    this.drainPromise = null;
+    this.resolveDrain = null;
+  }
+
+  static channelFor(roomId) {
+    return `room:${roomId}`;
+  }
+
+  emit(event, data) {
+    this.io.to(this.channel).emit(event, { roomId: this.roomId, ...data });
+  }
+
+  start() {
+    this.active = true;
+    this.state = 'initializing';
+    return this.init();
+  }
+
+  // Stop the loop at once, leaving the current round open, when another
+  // instance takes over. Its recovery settles the round on startup.
+  halt() {
+    this.active = false;
+    this.clearTimers();
+    this.currentGame = null;
+    this.state = 'initializing';
+    this.pauseRequested = false;
+    this.pauseReason = null;
+
+    // Nothing is left to drain here
+    if (this.resolveDrain) {
+      const resolve = this.resolveDrain;
+      this.draining = false;
+      this.drainPromise = null;
+      this.resolveDrain = null;
+      resolve();
+    }
+
+    logger.warn(`Room ${this.roomId} halted`);
   }
 
   async init() {
     try {
-      // Start the first game
+      // Load or generate the seed chain and publish its terminating hash
+      const chainInfo = await this.hashChain.ready();
+      this.emit('hash_chain', chainInfo);
+
+      // Keep the persisted round sequence ahead of any stored round
+      const lastGame = await Game.findOne({ roundNumber: { $ne: null } })
+        .sort({ roundNumber: -1 })
+        .select('roundNumber');
+      if (lastGame) {
+        await Counter.ensureAtLeast('round', lastGame.roundNumber);
+      }
+
+      // Settle rounds a previous process left open before starting a new one
+      await RoundRecovery.recoverOrphanedRounds(this.roomId);
+
+      // Start the first game; each round queues the next when it settles
       await this.startNewRound();
-      
-      // Set up round interval (every 10 seconds + game duration)
-      this.scheduleNextRound();
     } catch (error) {
       logger.error(`GameService initialization error: ${error.message}`);
     }
   }
 
+  transition(to) {
+    if (!TRANSITIONS[this.state].includes(to)) {
+      throw new Error(`Invalid game state transition: ${this.state} -> ${to}`);
+    }
+    this.state = to;
+  }
+
+  isBetweenRounds() {
+    return this.state === 'initializing' || this.state === 'settled';
+  }
+
+  // setTimeout that clearTimers() can cancel. Nothing is scheduled once
+  // halted, so steps still in flight then don't restart the loop.
+  setTimer(fn, delay) {
+    if (!this.active) return null;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    clearInterval(this.multiplierInterval);
+  }
+
   async startNewRound() {
+    // Paused, drained, or another round already started
+    if (!this.isBetweenRounds()) return;
+
     try {
-      // Generate round data using provably fair algorithm
-      const roundData = ProvablyFair.generateRoundData(this.roundNumber);
-      
-      // Create new game
-      this.currentGame = new Game({
-        roundId: roundData.roundId,
-        seed: roundData.seed,
-        hash: roundData.hash,
-        crashPoint: roundData.crashPoint,
-        status: 'waiting'
-      });
+      // Paused or drained by an admin through another instance, or before
+      // this one took over
+      const control = await RoomControl.findById(this.roomId).lean();
+      if (control && control.state !== 'running') {
+        this.applyControl(control);
+        return;
+      }
+
+      this.riskLimits = await RiskService.getSettings();
+
+      // Generate round data from the next round number and hash chain link
+      const roundNumber = await Counter.next('round');
+      let roundData;
+
+      // The link is only used up if the round saves
+      this.currentGame = await withTransaction(async (session) => {
+        const link = await this.hashChain.nextLink(session);
+        roundData = ProvablyFair.generateRoundData(roundNumber, link, this.crashConfig);
 
-      await this.currentGame.save();
+        const game = new Game({
+          roundId: roundData.roundId,
+          roundNumber,
+          roomId: this.roomId,
+          seed: roundData.seed,
+          hash: roundData.hash,
+          clientSeed: roundData.clientSeed,
+          chainId: roundData.chainId,
+          chainPosition: roundData.chainPosition,
+          crashPoint: roundData.crashPoint,
+          gameMode: this.gameMode,
+          crashConfig: roundData.crashConfig,
+          status: 'waiting'
+        });
+        await game.save({ session });
+        return game;
+      });
       
       logger.info(`New round created: ${roundData.roundId}, Crash Point: ${roundData.crashPoint}x`);
       
       // Notify clients of new round
-      this.io.emit('new_round', {
+      this.emit('new_round', {
         roundId: this.currentGame.roundId,
+        roundNumber: this.currentGame.roundNumber,
         hash: this.currentGame.hash,
+        clientSeed: this.currentGame.clientSeed,
+        chainPosition: this.currentGame.chainPosition,
+        gameMode: this.currentGame.gameMode,
+        crashConfig: roundData.crashConfig,
         status: 'waiting'
       });
 
-      // Wait 5 seconds for bets
-      setTimeout(() => {
-        this.startGame();
-      }, 5000);
+      this.transition('betting');
+      this.setTimer(() => this.startGame(), this.room.bettingWindow);
+
+      AutoBetService.placeBets(this).catch(error => {
+        logger.error(`Error placing auto bets: ${error.message}`);
+      });
 
     } catch (error) {
       logger.error(`Error starting new round: ${error.message}`);
+      this.setTimer(() => this.startNewRound(), RETRY_DELAY);
     }
   }
 
@@ -66,13 +229,28 @@ class GameService {
     try {
       if (!this.currentGame) return;
 
+      const startedAt = new Date();
+      const crashAt = new Date(crashTimeFor(startedAt, this.currentGame.crashPoint, this.growthRate));
+
+      // Closing the round in the database is what stops placeBet from
+      // adding bets, so it has to happen before anything else
+      await Game.updateOne(
+        { _id: this.currentGame._id, status: 'waiting' },
+        { $set: { status: 'running', startedAt, growthRate: this.growthRate, crashAt } }
+      );
+
+      // The in-memory game only mirrors committed writes and is never saved
+      this.transition('running');
       this.currentGame.status = 'running';
-      this.currentGame.startedAt = new Date();
-      await this.currentGame.save();
+      this.currentGame.startedAt = startedAt;
+      this.currentGame.growthRate = this.growthRate;
+      this.currentGame.crashAt = crashAt;
 
-      this.io.emit('game_started', {
+      this.emit('game_started', {
         roundId: this.currentGame.roundId,
-        startedAt: this.currentGame.startedAt
+        startedAt: this.currentGame.startedAt,
+        growthRate: this.growthRate,
+        serverTime: Date.now()
       });
 
       logger.info(`Game started: ${this.currentGame.roundId}`);
@@ -82,156 +260,470 @@ class GameService {
 
     } catch (error) {
       logger.error(`Error starting game: ${error.message}`);
+      if (this.state === 'betting') {
+        this.setTimer(() => this.startGame(), RETRY_DELAY);
+      }
     }
   }
 
+  // Current multiplier on the deterministic curve, independent of tick timing
+  getMultiplierAt(timestamp = Date.now()) {
+    const elapsed = timestamp - this.currentGame.startedAt.getTime();
+    return displayMultiplier(multiplierAt(elapsed, this.growthRate));
+  }
+
   startMultiplierUpdates() {
-    const startTime = Date.now();
-    const crashPoint = this.currentGame.crashPoint;
+    if (!this.active) return;
+
+    const crashAt = this.currentGame.crashAt.getTime();
+
+    // The crash fires at the precomputed time; ticks only broadcast progress
+    this.setTimer(() => this.crashGame(), Math.max(0, crashAt - Date.now()));
     
     this.multiplierInterval = setInterval(async () => {
       try {
-        const elapsed = (Date.now() - startTime) / 1000;
-        
-        // Exponential growth formula
-        const multiplier = Math.pow(Math.E, 0.00006 * elapsed);
-        const currentMultiplier = Math.floor(multiplier * 100) / 100;
-        
-        // Check if we've reached the crash point
-        if (currentMultiplier >= crashPoint) {
-          await this.crashGame();
-          return;
-        }
+        const now = Date.now();
+        if (now >= crashAt) return;
+
+        const currentMultiplier = this.getMultiplierAt(now);
 
         // Update current multiplier
         this.currentGame.currentMultiplier = currentMultiplier;
         
-        // Check for auto cashouts
-        await this.checkAutoCashouts(currentMultiplier);
+        await this.checkCashouts(currentMultiplier);
         
         // Broadcast multiplier update
-        this.io.emit('multiplier_update', {
+        this.emit('multiplier_update', {
           roundId: this.currentGame.roundId,
           multiplier: currentMultiplier,
-          timestamp: Date.now()
+          timestamp: now
         });
 
       } catch (error) {
         logger.error(`Error in multiplier update: ${error.message}`);
       }
-    }, 100); // Update every 100ms
+    }, config.multiplierTickInterval);
+  }
+
+  // Auto cashouts and maximum wins first, as they happen below the
+  // exposure limit's multiplier, then the exposure limit itself
+  async checkCashouts(currentMultiplier) {
+    await this.checkAutoCashouts(Math.min(currentMultiplier, this.getExposureMultiplier()));
+    await this.checkExposure(currentMultiplier);
   }
 
   async checkAutoCashouts(currentMultiplier) {
-    try {
-      const activeBets = this.currentGame.bets.filter(bet => 
-        !bet.cashedOut && 
-        bet.autoCashOut && 
-        currentMultiplier >= bet.autoCashOut
-      );
+    const dueBets = this.currentGame.bets
+      .filter(bet => !bet.cashedOut)
+      .map(bet => ({ bet, target: bet.getCashoutTarget() }))
+      .filter(({ target }) => target && currentMultiplier >= target.multiplier);
 
-      for (const bet of activeBets) {
-        await this.processCashout(bet.userId, currentMultiplier, true);
+    // Settle at the exact moment the curve reached the target, not at the tick
+    const startedAt = this.currentGame.startedAt.getTime();
+
+    for (const { bet, target } of dueBets) {
+      try {
+        await this.processCashout(bet.userId, {
+          betId: bet._id,
+          multiplier: target.multiplier,
+          receivedAt: startedAt + timeToMultiplier(target.multiplier, this.growthRate),
+          isAuto: true,
+          forced: target.forced
+        });
+      } catch (error) {
+        logger.error(`Error processing auto cashout: ${error.message}`);
+      }
+    }
+  }
+
+  // Multiplier at which what the round has paid out plus its open stakes,
+  // valued at that multiplier, reaches the round's exposure limit
+  getExposureMultiplier() {
+    const limit = this.riskLimits ? this.riskLimits.maxRoundExposure : null;
+    if (limit === null || limit === undefined) return Infinity;
+
+    const game = this.currentGame;
+    const openUsd = game.bets.reduce((sum, bet) => (
+      bet.cashedOut ? sum : sum + bet.getOpenCryptoAmount() * bet.priceAtTime
+    ), 0);
+    if (openUsd === 0) return Infinity;
+
+    return Math.max(Math.floor((limit - game.totalPayout) / openUsd * 100) / 100, 1);
+  }
+
+  // Once the exposure limit is reached, every open bet is cashed out at the
+  // multiplier where that happened
+  async checkExposure(currentMultiplier) {
+    const multiplier = this.getExposureMultiplier();
+    if (multiplier > currentMultiplier || multiplier >= this.currentGame.crashPoint) return;
+
+    const game = this.currentGame;
+    const openBets = game.bets.filter(bet => !bet.cashedOut);
+    const receivedAt = game.startedAt.getTime() + timeToMultiplier(multiplier, this.growthRate);
+
+    logger.warn(`Round ${game.roundId} reached its exposure limit at ${multiplier}x, ` +
+      `cashing out ${openBets.length} bets`);
+    this.emit('exposure_limit_reached', { roundId: game.roundId, multiplier });
+
+    for (const bet of openBets) {
+      try {
+        await this.processCashout(bet.userId, {
+          betId: bet._id,
+          multiplier,
+          receivedAt,
+          isAuto: true,
+          forced: 'exposure'
+        });
+      } catch (error) {
+        logger.error(`Error processing exposure cashout: ${error.message}`);
       }
-    } catch (error) {
-      logger.error(`Error checking auto cashouts: ${error.message}`);
     }
   }
 
   async crashGame() {
     try {
       clearInterval(this.multiplierInterval);
+
+      if (this.state !== 'running') return;
+
+      // Auto cashouts below the crash point win even if no tick saw them
+      await this.checkCashouts(this.currentGame.crashPoint);
       
+      this.transition('crashed');
       this.currentGame.status = 'crashed';
       this.currentGame.crashedAt = new Date();
       this.currentGame.currentMultiplier = this.currentGame.crashPoint;
-      
-      // Process losing bets
-      const losingBets = this.currentGame.bets.filter(bet => !bet.cashedOut);
-      for (const bet of losingBets) {
-        bet.profit = -bet.usdAmount;
-        
-        // Update user statistics
-        await User.findByIdAndUpdate(bet.userId, {
-          $inc: { totalBets: 1, totalProfit: bet.profit }
-        });
-      }
 
-      await this.currentGame.save();
-
-      // Broadcast crash event
-      this.io.emit('game_crashed', {
+      // Broadcast crash event and reveal the seed now that it can't be acted on
+      this.emit('game_crashed', {
         roundId: this.currentGame.roundId,
         crashPoint: this.currentGame.crashPoint,
+        proof: {
+          seed: this.currentGame.seed,
+          hash: this.currentGame.hash,
+          clientSeed: this.currentGame.clientSeed,
+          roundNumber: this.currentGame.roundNumber,
+          chainPosition: this.currentGame.chainPosition,
+          crashConfig: this.crashConfig
+        },
         timestamp: Date.now()
       });
 
       logger.info(`Game crashed: ${this.currentGame.roundId} at ${this.currentGame.crashPoint}x`);
 
-      // Wait 5 seconds then start next round
-      setTimeout(() => {
-        this.scheduleNextRound();
-      }, 5000);
+      // Cashouts sent before the crash may still be in flight within the
+      // grace window, so losing bets are settled once it has passed
+      this.setTimer(() => this.settleRound(), config.cashoutGraceWindow);
 
     } catch (error) {
       logger.error(`Error crashing game: ${error.message}`);
     }
   }
 
-  scheduleNextRound() {
-    this.roundNumber++;
-    setTimeout(() => {
-      this.startNewRound();
-    }, 1000);
+  async settleRound() {
+    try {
+      const game = this.currentGame;
+      const settledAt = new Date();
+
+      // Settle every bet that was not cashed out as a loss, together with
+      // the round itself. Claiming settledAt first makes this run once.
+      const losses = await withTransaction(async (session) => {
+        const claimed = await Game.updateOne(
+          { _id: game._id, settledAt: null },
+          {
+            $set: {
+              status: 'crashed',
+              crashedAt: game.crashedAt,
+              currentMultiplier: game.crashPoint,
+              settledAt
+            }
+          },
+          { session }
+        );
+        if (claimed.modifiedCount === 0) return [];
+
+        // Read the bets back so every committed cashout leg is counted
+        const stored = await Game.findById(game._id).select('bets').session(session);
+
+        const settled = [];
+        for (const bet of stored.bets.filter(b => !b.cashedOut)) {
+          // The open stake is lost; partial cashouts still paid out
+          const profit = bet.payout - bet.usdAmount;
+
+          const lost = await Game.updateOne(
+            { _id: game._id, bets: { $elemMatch: { _id: bet._id, cashedOut: false } } },
+            { $set: { 'bets.$.profit': profit } },
+            { session }
+          );
+          if (lost.modifiedCount === 0) continue;
+
+          // Update user statistics
+          await User.updateOne(
+            { _id: bet.userId },
+            { $inc: { totalBets: 1, totalProfit: profit, ...(profit > 0 ? { totalWins: 1 } : {}) } },
+            { session }
+          );
+          settled.push({ betId: bet._id, profit });
+        }
+
+        return settled;
+      });
+
+      losses.forEach(({ betId, profit }) => {
+        const bet = game.bets.id(betId);
+        if (bet) bet.profit = profit;
+      });
+      game.settledAt = settledAt;
+
+      // Before the next round opens, so programs bet with their results counted
+      await AutoBetService.settleBets(this, game).catch(error => {
+        logger.error(`Error settling auto bets: ${error.message}`);
+      });
+
+      this.transition('settled');
+      this.afterRound();
+
+    } catch (error) {
+      // Bets stay open until settled, so keep trying
+      logger.error(`Error settling round: ${error.message}`);
+      this.setTimer(() => this.settleRound(), RETRY_DELAY);
+    }
+  }
+
+  // Between rounds: honour a pending drain or pause, otherwise queue the next round
+  afterRound() {
+    if (this.draining) {
+      this.finishDrain();
+    } else if (this.pauseRequested) {
+      this.enterPause();
+    } else {
+      this.setTimer(() => this.startNewRound(), this.room.roundGap);
+    }
+  }
+
+  // Stop starting new rounds. A round in progress plays out and settles
+  // first. Returns false if already paused, pausing or draining.
+  pause(reason = '') {
+    if (this.pauseRequested || this.draining || ['paused', 'drained'].includes(this.state)) {
+      return false;
+    }
+
+    this.pauseReason = reason;
+
+    if (this.isBetweenRounds()) {
+      this.clearTimers();
+      this.enterPause();
+    } else {
+      this.pauseRequested = true;
+      logger.info(`Pause requested, finishing round ${this.currentGame.roundId}`);
+    }
+    return true;
+  }
+
+  enterPause() {
+    this.pauseRequested = false;
+    this.transition('paused');
+    this.emit('game_paused', { reason: this.pauseReason });
+    logger.warn(`Game paused${this.pauseReason ? `: ${this.pauseReason}` : ''}`);
+  }
+
+  applyControl(control) {
+    if (!this.isBetweenRounds()) return;
+
+    this.pauseReason = control.reason;
+    if (control.state === 'paused') {
+      this.enterPause();
+    } else {
+      this.transition('drained');
+      logger.info('Game loop drained');
+    }
+  }
+
+  // Restart a paused or drained loop, or cancel a pause that hasn't taken
+  // effect yet. Returns false if there is nothing to resume or a drain is
+  // in progress.
+  resume() {
+    if (this.draining) return false;
+
+    if (this.pauseRequested) {
+      this.pauseRequested = false;
+      this.pauseReason = null;
+      logger.info('Pending pause cancelled');
+      return true;
+    }
+
+    if (!['paused', 'drained'].includes(this.state)) return false;
+
+    this.pauseReason = null;
+    this.transition('settled');
+    this.emit('game_resumed', {});
+    logger.info('Game resumed');
+
+    this.afterRound();
+    return true;
+  }
+
+  // Finish the current round, refuse new bets and settle everything, then
+  // stop the loop. Resolves once stopped; safe to call more than once.
+  drain() {
+    if (this.state === 'drained') return Promise.resolve();
+
+    if (!this.drainPromise) {
+      this.draining = true;
+      this.pauseRequested = false;
+      this.drainPromise = new Promise(resolve => {
+        this.resolveDrain = resolve;
+      });
+
+      this.emit('game_draining', {});
+      logger.info(`Draining game loop (state: ${this.state})`);
+
+      if (this.isBetweenRounds() || this.state === 'paused') {
+        this.finishDrain();
+      }
+    }
+
+    return this.drainPromise;
+  }
+
+  finishDrain() {
+    const resolve = this.resolveDrain;
+
+    this.clearTimers();
+    this.transition('drained');
+    this.draining = false;
+    this.drainPromise = null;
+    this.resolveDrain = null;
+
+    logger.info('Game loop drained');
+    resolve();
+  }
+
+  getStatus() {
+    const game = this.currentGame;
+
+    return {
+      roomId: this.roomId,
+      name: this.room.name,
+      state: this.state,
+      pauseRequested: this.pauseRequested,
+      pauseReason: this.pauseReason,
+      draining: this.draining,
+      gameMode: this.gameMode,
+      growthRate: this.growthRate,
+      currentRound: game ? {
+        roundId: game.roundId,
+        roundNumber: game.roundNumber,
+        status: game.status,
+        bets: game.bets.length,
+        settled: Boolean(game.settledAt)
+      } : null,
+      hashChain: this.getHashChainInfo()
+    };
   }
 
   async placeBet(userId, usdAmount, currency, autoCashOut = null) {
     try {
+      if (this.draining) {
+        throw new Error('Game is shutting down, bets are closed');
+      }
+
       if (!this.currentGame || this.currentGame.status !== 'waiting') {
         throw new Error('Cannot place bet at this time');
       }
 
-      const user = await User.findById(userId);
+      this.checkRoomLimits(usdAmount, currency, autoCashOut);
+
+      const game = this.currentGame;
+      const { maxBetsPerRound } = this.room;
+      if (this.getUserBets(userId).length >= maxBetsPerRound) {
+        throw new Error(`You can place at most ${maxBetsPerRound} bets per round`);
+      }
+
+      const user = await User.findById(userId).select('username');
       if (!user) {
         throw new Error('User not found');
       }
 
+      const maxCashOut = RiskService.maxMultiplierFor(usdAmount, this.riskLimits);
+      if (maxCashOut !== null && maxCashOut < 1.01) {
+        throw new Error(`Bets can win at most $${this.riskLimits.maxWinPerBet}`);
+      }
+
       // Get current crypto price
       const cryptoPrice = await CryptoService.getPrice(currency);
       const cryptoAmount = usdAmount / cryptoPrice;
 
-      // Check wallet balance
-      const wallet = user.wallets.find(w => w.currency === currency);
-      if (!wallet || wallet.balance < cryptoAmount) {
-        throw new Error('Insufficient balance');
-      }
-
       // Create bet
       const bet = {
+        _id: new mongoose.Types.ObjectId(),
         userId: user._id,
         username: user.username,
         usdAmount,
         cryptoAmount,
         currency,
         priceAtTime: cryptoPrice,
-        autoCashOut: autoCashOut > 1 ? autoCashOut : null
+        autoCashOut: autoCashOut > 1 ? autoCashOut : null,
+        maxCashOut,
+        cashouts: [],
+        placedAt: new Date()
       };
 
-      this.currentGame.bets.push(bet);
-      this.currentGame.totalBets += usdAmount;
+      // Debit the wallet and add the bet together, or not at all
+      await withTransaction(async (session) => {
+        // The player's breaks and limits are checked in the transaction too.
+        // The debit writes the user's document, so of two bets racing each
+        // other one conflicts and retries once the other has committed, and
+        // its check then counts that bet.
+        const limits = await User.findById(user._id).select('riskLimits protection').session(session);
+        await ProtectionService.checkBet(limits, usdAmount, session);
+        await RiskService.checkDailyLimits(limits, usdAmount, session);
 
-      // Update user wallet
-      wallet.balance -= cryptoAmount;
-      await user.save();
-      await this.currentGame.save();
+        const debit = await LedgerService.post({
+          userId: user._id,
+          currency,
+          amount: -cryptoAmount,
+          type: 'bet_debit',
+          usdPrice: cryptoPrice,
+          gameId: game._id,
+          roundId: game.roundId,
+          betId: bet._id,
+          session
+        });
+        bet.demoAmount = -debit.demoAmount;
+
+        // Recount in the update itself, in case bets from this user race
+        const placed = await Game.updateOne(
+          {
+            _id: game._id,
+            status: 'waiting',
+            $expr: {
+              $lt: [
+                { $size: { $filter: { input: '$bets', cond: { $eq: ['$$this.userId', user._id] } } } },
+                maxBetsPerRound
+              ]
+            }
+          },
+          { $push: { bets: bet }, $inc: { totalBets: usdAmount } },
+          { session }
+        );
+        if (placed.modifiedCount === 0) {
+          throw new Error('Cannot place bet at this time');
+        }
+      });
+
+      game.bets.push(bet);
+      game.totalBets += usdAmount;
 
       // Broadcast bet placed
-      this.io.emit('bet_placed', {
-        roundId: this.currentGame.roundId,
+      this.emit('bet_placed', {
+        roundId: game.roundId,
+        betId: bet._id,
         username: user.username,
         usdAmount,
         currency,
-        autoCashOut
+        autoCashOut,
+        maxCashOut
       });
 
       logger.info(`Bet placed: ${user.username} - $${usdAmount} (${cryptoAmount} ${currency})`);
@@ -244,59 +736,242 @@ class GameService {
     }
   }
 
-  async processCashout(userId, multiplier = null, isAuto = false) {
+  // Take a bet back while the round is still waiting: remove it and refund
+  // exactly the stake that was debited, together or not at all
+  async cancelBet(userId, betId) {
+    try {
+      if (!this.currentGame || this.currentGame.status !== 'waiting') {
+        throw new Error('Bets can only be cancelled before the round starts');
+      }
+
+      const game = this.currentGame;
+      const bet = this.getUserBets(userId).find(b => b._id.toString() === String(betId));
+      if (!bet) {
+        throw new Error('Bet not found');
+      }
+
+      await withTransaction(async (session) => {
+        // The round must still be waiting, which also races startGame fairly
+        const removed = await Game.updateOne(
+          { _id: game._id, status: 'waiting', 'bets._id': bet._id },
+          { $pull: { bets: { _id: bet._id } }, $inc: { totalBets: -bet.usdAmount } },
+          { session }
+        );
+        if (removed.modifiedCount === 0) {
+          throw new Error('Bets can only be cancelled before the round starts');
+        }
+
+        await LedgerService.post({
+          userId: bet.userId,
+          currency: bet.currency,
+          amount: bet.cryptoAmount,
+          type: 'refund',
+          usdPrice: bet.priceAtTime,
+          gameId: game._id,
+          roundId: game.roundId,
+          betId: bet._id,
+          metadata: { cancelled: true },
+          demoAmount: bet.demoAmount,
+          session
+        });
+      });
+
+      game.bets.pull(bet._id);
+      game.totalBets -= bet.usdAmount;
+
+      this.emit('bet_cancelled', {
+        roundId: game.roundId,
+        betId: bet._id,
+        username: bet.username
+      });
+
+      logger.info(`Bet cancelled: ${bet.username} - $${bet.usdAmount} (${bet.cryptoAmount} ${bet.currency})`);
+
+      return { success: true, betId: bet._id, currency: bet.currency, refunded: bet.cryptoAmount };
+
+    } catch (error) {
+      logger.error(`Error cancelling bet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Bets of a user in the current round, in the order placed
+  getUserBets(userId) {
+    if (!this.currentGame) return [];
+    return this.currentGame.bets.filter(b => b.userId.toString() === userId.toString());
+  }
+
+  // Cashes out one bet, picked by betId: the whole open stake, or part of
+  // it given as a fraction of the open stake or a USD amount of the stake.
+  // receivedAt is when the request reached the server and rtt the client's
+  // measured round trip; the multiplier comes from the curve at that moment.
+  // forced names the risk limit when the house cashes the bet out.
+  async processCashout(userId, {
+    betId = null,
+    fraction = null,
+    amount = null,
+    receivedAt = Date.now(),
+    rtt = 0,
+    multiplier = null,
+    isAuto = false,
+    forced = null
+  } = {}) {
     try {
-      if (!this.currentGame || this.currentGame.status !== 'running') {
+      // Cashouts are still accepted after the crash broadcast until the round
+      // is settled, as long as they were sent before the crash time
+      const acceptingCashouts = this.currentGame && (
+        this.currentGame.status === 'running' ||
+        (this.currentGame.status === 'crashed' && !this.currentGame.settledAt)
+      );
+      if (!acceptingCashouts) {
         throw new Error('Cannot cash out at this time');
       }
 
-      const bet = this.currentGame.bets.find(b => 
-        b.userId.toString() === userId.toString() && !b.cashedOut
+      // Credit up to half the round trip for the time the request spent in
+      // flight, bounded by the grace window
+      const compensation = Math.min(Math.max(rtt, 0) / 2, config.cashoutGraceWindow);
+      const effectiveAt = Math.max(
+        this.currentGame.startedAt.getTime(),
+        receivedAt - compensation
       );
 
+      if (effectiveAt >= this.currentGame.crashAt.getTime()) {
+        throw new Error('Round has already crashed');
+      }
+
+      // Without a betId (older clients) the user's only open bet is meant
+      const openBets = this.getUserBets(userId).filter(b => !b.cashedOut);
+      const bet = betId
+        ? openBets.find(b => b._id.toString() === betId.toString())
+        : openBets[0];
+
       if (!bet) {
         throw new Error('No active bet found');
       }
+      if (!betId && openBets.length > 1) {
+        throw new Error('Specify which bet to cash out');
+      }
+
+      const openCrypto = bet.getOpenCryptoAmount();
+      let cryptoAmount = openCrypto;
+      if (fraction) {
+        cryptoAmount = openCrypto * fraction;
+      } else if (amount) {
+        cryptoAmount = amount / bet.priceAtTime;
+      }
+      if (cryptoAmount > openCrypto * (1 + 1e-9)) {
+        throw new Error('Cashout amount exceeds the open stake');
+      }
 
-      const currentMultiplier = multiplier || this.currentGame.currentMultiplier;
-      const cryptoPayout = bet.cryptoAmount * currentMultiplier;
+      // Within rounding of the rest closes the bet
+      const closing = cryptoAmount >= openCrypto * (1 - 1e-9);
+      if (closing) {
+        cryptoAmount = openCrypto;
+      }
+
+      // A manual cashout between ticks is held to the same maximum win and
+      // exposure limit as the tick path, and marked forced when one applies
+      let currentMultiplier = multiplier;
+      if (!currentMultiplier) {
+        const curveMultiplier = this.getMultiplierAt(effectiveAt);
+        const maxWin = bet.maxCashOut || Infinity;
+        const exposure = this.getExposureMultiplier();
+        currentMultiplier = Math.min(curveMultiplier, maxWin, exposure);
+        if (currentMultiplier < curveMultiplier) {
+          forced = maxWin <= exposure ? 'max_win' : 'exposure';
+        }
+      }
+      const cryptoPayout = cryptoAmount * currentMultiplier;
       const usdPayout = cryptoPayout * bet.priceAtTime;
-      const profit = usdPayout - bet.usdAmount;
+      // This leg's profit, and the bet's once its last leg is in
+      const legProfit = usdPayout - cryptoAmount * bet.priceAtTime;
+      const profit = bet.payout + usdPayout - bet.usdAmount;
+      const leg = { cryptoAmount, multiplier: currentMultiplier, payout: usdPayout, isAuto, forced, createdAt: new Date() };
+      const game = this.currentGame;
 
-      // Update bet
-      bet.cashedOut = true;
-      bet.cashedOutAt = currentMultiplier;
-      bet.payout = usdPayout;
-      bet.profit = profit;
-
-      // Update user wallet and statistics
-      const user = await User.findById(userId);
-      const wallet = user.wallets.find(w => w.currency === bet.currency);
-      wallet.balance += cryptoPayout;
-
-      await user.updateOne({
-        $inc: { 
-          totalBets: 1, 
-          totalWins: 1, 
-          totalProfit: profit 
+      const update = {
+        $push: { 'bets.$.cashouts': leg },
+        $inc: { 'bets.$.payout': usdPayout, totalPayout: usdPayout }
+      };
+      if (closing) {
+        update.$set = {
+          'bets.$.cashedOut': true,
+          'bets.$.cashedOutAt': currentMultiplier,
+          'bets.$.profit': profit
+        };
+      }
+
+      // Record the leg and credit the payout together. The bet must still be
+      // open with the legs seen here and the round unsettled, so no part of
+      // a stake can pay out twice.
+      await withTransaction(async (session) => {
+        const recorded = await Game.updateOne(
+          {
+            _id: game._id,
+            settledAt: null,
+            bets: {
+              $elemMatch: { _id: bet._id, cashedOut: false, cashouts: { $size: bet.cashouts.length } }
+            }
+          },
+          update,
+          { session }
+        );
+        if (recorded.modifiedCount === 0) {
+          throw new Error('No active bet found');
         }
+
+        await LedgerService.post({
+          userId,
+          currency: bet.currency,
+          amount: cryptoPayout,
+          type: 'cashout_credit',
+          usdPrice: bet.priceAtTime,
+          gameId: game._id,
+          roundId: game.roundId,
+          betId: bet._id,
+          metadata: { multiplier: currentMultiplier, isAuto, forced, partial: !closing },
+          demoAmount: bet.getDemoShare(cryptoPayout),
+          // Stats count the bet once, when its last leg closes it
+          inc: closing ? { totalBets: 1, totalWins: 1, totalProfit: profit } : {},
+          session
+        });
       });
 
-      await this.currentGame.save();
+      // Update bet
+      bet.cashouts.push(leg);
+      bet.payout += usdPayout;
+      if (closing) {
+        bet.cashedOut = true;
+        bet.cashedOutAt = currentMultiplier;
+        bet.profit = profit;
+      }
+      game.totalPayout += usdPayout;
 
       // Broadcast cashout
-      this.io.emit('player_cashout', {
-        roundId: this.currentGame.roundId,
-        username: user.username,
+      this.emit('player_cashout', {
+        roundId: game.roundId,
+        betId: bet._id,
+        username: bet.username,
         multiplier: currentMultiplier,
         usdPayout,
-        profit,
-        isAuto
+        profit: legProfit,
+        partial: !closing,
+        fraction: cryptoAmount / bet.cryptoAmount,
+        isAuto,
+        forced
       });
 
-      logger.info(`Cashout: ${user.username} - ${currentMultiplier}x ($${usdPayout})`);
+      logger.info(`${closing ? 'Cashout' : 'Partial cashout'}: ${bet.username} - ${currentMultiplier}x ($${usdPayout})`);
 
-      return { success: true, payout: usdPayout, profit };
+      return {
+        success: true,
+        betId: bet._id,
+        multiplier: currentMultiplier,
+        payout: usdPayout,
+        profit: legProfit,
+        partial: !closing,
+        openCryptoAmount: openCrypto - cryptoAmount
+      };
 
     } catch (error) {
       logger.error(`Error processing cashout: ${error.message}`);
@@ -306,10 +981,10 @@ class GameService {
 
   async getGameHistory(limit = 50) {
     try {
-      const games = await Game.find({ status: 'crashed' })
+      const games = await Game.find({ status: 'crashed', ...Game.roomQuery(this.roomId) })
         .sort({ createdAt: -1 })
         .limit(limit)
-        .select('roundId crashPoint createdAt crashedAt totalBets bets');
+        .select('roundId roundNumber crashPoint gameMode crashConfig seed hash clientSeed chainPosition createdAt crashedAt totalBets bets');
 
       return games;
     } catch (error) {
@@ -318,9 +993,49 @@ class GameService {
     }
   }
 
+  checkRoomLimits(usdAmount, currency, autoCashOut) {
+    const { minBet, maxBet, currencies, maxAutoCashOut, name } = this.room;
+
+    if (usdAmount < minBet || usdAmount > maxBet) {
+      throw new Error(`Bets in ${name} must be between $${minBet} and $${maxBet}`);
+    }
+    if (!currencies.includes(currency)) {
+      throw new Error(`${currency} is not accepted in ${name}`);
+    }
+    if (autoCashOut && autoCashOut > maxAutoCashOut) {
+      throw new Error(`Auto cashout in ${name} is limited to ${maxAutoCashOut}x`);
+    }
+  }
+
+  // Public description of the room for room lists
+  getRoomInfo() {
+    const { id, name, gameMode, minBet, maxBet, currencies, maxAutoCashOut, maxBetsPerRound, bettingWindow } = this.room;
+    const game = this.currentGame;
+
+    return {
+      roomId: id,
+      name,
+      gameMode,
+      houseEdge: this.crashConfig.houseEdge,
+      minBet,
+      maxBet,
+      currencies,
+      maxAutoCashOut,
+      maxBetsPerRound,
+      bettingWindow,
+      growthRate: this.growthRate,
+      state: this.state,
+      currentRound: game ? { roundId: game.roundId, status: game.status, players: game.bets.length } : null
+    };
+  }
+
   getCurrentGame() {
     return this.currentGame;
   }
+
+  getHashChainInfo() {
+    return this.hashChain.getPublicInfo();
+  }
 }
 
 module.exports = GameService;
@@ -0,0 +1,178 @@
+const HashChainModel = require('../models/HashChain');
+const ProvablyFair = require('./provablyFair');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Reverse hash chain: link[0] is a random secret and link[i] = sha256(link[i - 1]).
+// Rounds consume the chain backwards, so round N's seed hashes to round N-1's
+// seed and the first round's seed hashes to the published terminating hash.
+// Each game room has a chain of its own. Rounds are drawn from a chain only
+// once an admin has committed its client seed (see HashChainModel).
+class HashChain {
+  constructor(options = {}) {
+    this.roomId = options.roomId || config.defaultRoom;
+    this.length = options.length || parseInt(process.env.HASH_CHAIN_LENGTH) || 10000000;
+    this.checkpointInterval = options.checkpointInterval ||
+      parseInt(process.env.HASH_CHAIN_CHECKPOINT_INTERVAL) || 10000;
+
+    this.chain = null;
+    this.checkpoints = [];
+    this.segment = null;
+    this.initializing = null;
+    this.exhausted = null;
+  }
+
+  // init() once, however often the room restarts its loop
+  ready() {
+    if (!this.initializing) {
+      this.initializing = this.init();
+    }
+    return this.initializing;
+  }
+
+  async init() {
+    const chain = await HashChainModel.findActive(this.roomId).select('+checkpoints');
+
+    if (chain) {
+      this.load(chain);
+    } else {
+      await this.generate();
+    }
+
+    const clientSeed = this.chain.clientSeedSetAt ? this.chain.clientSeed : 'not set yet';
+    logger.info(`Room ${this.roomId} hash chain ${this.chain._id} terminating hash: ${this.chain.terminatingHash} ` +
+      `(${this.chain.used}/${this.chain.length} used, client seed: ${clientSeed})`);
+
+    return this.getPublicInfo();
+  }
+
+  load(chain) {
+    this.chain = chain;
+    this.checkpoints = chain.checkpoints;
+    this.segment = null;
+  }
+
+  async generate() {
+    logger.info(`Generating hash chain for room ${this.roomId} with ${this.length} links...`);
+
+    const checkpoints = [];
+    let link = ProvablyFair.generateSeed();
+
+    for (let i = 0; i < this.length; i++) {
+      if (i % this.checkpointInterval === 0) {
+        checkpoints.push(link);
+        // Yield to the event loop so a long generation does not block sockets
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      link = ProvablyFair.createHash(link);
+    }
+
+    const chain = await HashChainModel.create({
+      roomId: this.roomId,
+      length: this.length,
+      checkpointInterval: this.checkpointInterval,
+      checkpoints,
+      terminatingHash: link
+    });
+
+    logger.warn(`Room ${this.roomId} hash chain ${chain._id} waits for its client seed: publish its ` +
+      `terminating hash, then commit one through POST /api/admin/game/${this.roomId}/client-seed`);
+
+    this.load(chain);
+    return chain;
+  }
+
+  // Compute link[index] from the nearest checkpoint below it
+  getLink(index, chain = this.chain, checkpoints = this.checkpoints) {
+    const interval = chain.checkpointInterval;
+    const start = Math.floor(index / interval) * interval;
+
+    if (!this.segment || this.segment.chain !== chain || this.segment.start !== start) {
+      const links = [checkpoints[start / interval]];
+      const end = Math.min(start + interval, chain.length);
+      for (let i = start + 1; i < end; i++) {
+        links.push(ProvablyFair.createHash(links[links.length - 1]));
+      }
+      this.segment = { chain, start, links };
+    }
+
+    return this.segment.links[index - start];
+  }
+
+  // Atomically claim the next unused link. Pass the session of the
+  // transaction that saves the round, so a round that fails to save hands
+  // its link back instead of leaving a gap in the chain.
+  async nextLink(session = null) {
+    // Rolling over writes outside the caller's transaction, which could
+    // not read the new chain, so it happens on the next call instead
+    if (this.exhausted === this.chain) {
+      await this.rollOver();
+    }
+
+    const current = this.chain;
+    const checkpoints = this.checkpoints;
+    const chain = await HashChainModel.findOneAndUpdate(
+      { _id: current._id, used: { $lt: current.length }, clientSeedSetAt: { $ne: null } },
+      { $inc: { used: 1 } },
+      { new: true, session }
+    );
+
+    if (!chain) {
+      const stored = await HashChainModel.findById(current._id).select('clientSeedSetAt').session(session);
+      if (stored && !stored.clientSeedSetAt) {
+        throw new Error(`Hash chain ${current._id} is waiting for its client seed`);
+      }
+
+      this.exhausted = current;
+      throw new Error(`Hash chain ${current._id} is exhausted`);
+    }
+
+    current.used = chain.used;
+    current.clientSeed = chain.clientSeed;
+    current.clientSeedSource = chain.clientSeedSource;
+    current.clientSeedSetAt = chain.clientSeedSetAt;
+
+    const position = chain.used;
+    const seed = this.getLink(chain.length - position, current, checkpoints);
+
+    return {
+      seed,
+      hash: ProvablyFair.createHash(seed),
+      chainId: chain._id,
+      chainPosition: position,
+      clientSeed: chain.clientSeed
+    };
+  }
+
+  async rollOver() {
+    await HashChainModel.updateOne({ _id: this.chain._id }, { exhausted: true });
+
+    // A previous game-loop leader may already have rolled over to a new chain
+    const next = await HashChainModel.findActive(this.roomId).select('+checkpoints');
+    if (next) {
+      logger.info(`Hash chain ${this.chain._id} exhausted, continuing with ${next._id}`);
+      this.load(next);
+      return;
+    }
+
+    logger.warn(`Hash chain ${this.chain._id} exhausted, generating a new one`);
+    await this.generate();
+  }
+
+  getPublicInfo() {
+    if (!this.chain) return null;
+
+    return {
+      chainId: this.chain._id,
+      roomId: this.roomId,
+      terminatingHash: this.chain.terminatingHash,
+      length: this.chain.length,
+      used: this.chain.used,
+      clientSeed: this.chain.clientSeed,
+      clientSeedSource: this.chain.clientSeedSource,
+      clientSeedSetAt: this.chain.clientSeedSetAt
+    };
+  }
+}
+
+module.exports = HashChain;
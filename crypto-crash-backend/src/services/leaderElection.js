@@ -0,0 +1,123 @@
+const EventEmitter = require('events');
+const Lease = require('../models/Lease');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Campaigns for a named Mongo lease on an interval. Whoever holds an
+// unexpired lease is the leader; it renews well before expiry, and anyone
+// else can take the lease over once it lapses. A leader whose renewal
+// fails or outlasts acquireTimeout steps down at once rather than risk
+// running on after the lease has passed to someone else. Emits 'elected'
+// and 'demoted' when this instance gains or loses it. Instance clocks are
+// assumed to be kept in sync (NTP), as expiry is compared across them.
+class LeaderElection extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.instanceId = options.instanceId || config.cluster.instanceId;
+    this.leaseTtl = options.leaseTtl || config.cluster.leaseTtl;
+    this.renewInterval = options.renewInterval || config.cluster.renewInterval;
+    this.acquireTimeout = options.acquireTimeout || config.cluster.acquireTimeout;
+    if (this.acquireTimeout + this.renewInterval >= this.leaseTtl) {
+      throw new Error('Leader lease TTL must exceed the renew interval plus the acquire timeout');
+    }
+    this.isLeader = false;
+    this.expiresAt = 0;
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this.campaign();
+  }
+
+  // Stop campaigning; a lease still held lapses unless release() is called
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async campaign() {
+    try {
+      this.setLeader(await this.acquire());
+    } catch (error) {
+      logger.error(`Leader election error: ${error.message}`);
+      // Without a renewal there's no telling how long the lease stays ours
+      this.setLeader(false);
+    }
+
+    if (!this.stopped) {
+      this.timer = setTimeout(() => this.campaign(), this.renewInterval);
+    }
+  }
+
+  // Renew our lease or take over an expired one. Resolves to whether this
+  // instance holds it now, and rejects if the write takes longer than
+  // acquireTimeout.
+  async acquire() {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.leaseTtl);
+    const update = { holder: this.instanceId, expiresAt };
+    if (!this.isLeader) {
+      update.acquiredAt = now;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Lease write timed out')), this.acquireTimeout);
+    });
+
+    try {
+      await Promise.race([
+        Lease.findOneAndUpdate(
+          { _id: this.name, $or: [{ holder: this.instanceId }, { expiresAt: { $lte: now } }] },
+          { $set: update },
+          { upsert: true, new: true, maxTimeMS: this.acquireTimeout }
+        ),
+        timeout
+      ]);
+    } catch (error) {
+      // The lease exists and is held by someone else, so the upsert collided
+      if (error.code === 11000) return false;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.expiresAt = expiresAt.getTime();
+    return true;
+  }
+
+  setLeader(isLeader) {
+    if (isLeader === this.isLeader || (isLeader && this.stopped)) return;
+
+    this.isLeader = isLeader;
+    logger.info(`Instance ${this.instanceId} ${isLeader ? 'elected' : 'demoted'} as ${this.name} leader`);
+    this.emit(isLeader ? 'elected' : 'demoted');
+  }
+
+  // Give the lease up at once so another instance can take over on its next
+  // attempt instead of waiting for it to expire
+  async release() {
+    this.stop();
+    await Lease.updateOne(
+      { _id: this.name, holder: this.instanceId },
+      { $set: { expiresAt: new Date(0) } }
+    );
+    this.setLeader(false);
+  }
+
+  getInfo() {
+    return {
+      name: this.name,
+      instanceId: this.instanceId,
+      isLeader: this.isLeader,
+      expiresAt: this.isLeader ? new Date(this.expiresAt) : null
+    };
+  }
+}
+
+module.exports = LeaderElection;
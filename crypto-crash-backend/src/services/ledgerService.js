@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const CryptoService = require('./cryptoService');
+
+// Every change to a wallet balance goes through the ledger: the cached
+// balance on User.wallets and the Transaction recording it are written in
+// the same session, so the two can only drift through out-of-band edits.
+class LedgerService {
+
+  // Apply a signed `amount` to a user's wallet and record it. Debits only
+  // succeed when the balance covers them. `demoAmount` is the part of a
+  // credit that is demo funds ('demo_credit' is all demo funds); a debit
+  // spends demo funds only once the rest of the balance is gone and records
+  // how much it spent. `inc` adds further $inc fields to the user update
+  // (e.g. betting stats). Must run inside a transaction.
+  static async post({
+    userId,
+    currency,
+    amount,
+    type,
+    session,
+    usdPrice,
+    gameId = null,
+    roundId = null,
+    betId = null,
+    description = '',
+    metadata = {},
+    demoAmount = 0,
+    inc = {}
+  }) {
+    if (!Transaction.COUNTER_ACCOUNTS[type]) {
+      throw new Error(`Unknown transaction type: ${type}`);
+    }
+
+    const price = usdPrice || await CryptoService.getPrice(currency);
+    const walletMatch = amount < 0
+      ? { currency, balance: { $gte: -amount } }
+      : { currency };
+    let demo = 0;
+    if (type === 'demo_credit') {
+      demo = amount;
+    } else if (amount > 0) {
+      demo = Math.min(Math.max(demoAmount, 0), amount);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, wallets: { $elemMatch: walletMatch } },
+      { $inc: { 'wallets.$.balance': amount, ...(demo ? { 'wallets.$.demoBalance': demo } : {}), ...inc } },
+      { session, new: true, projection: { wallets: 1 } }
+    );
+
+    if (!user) {
+      throw new Error(amount < 0 ? 'Insufficient balance' : 'Wallet not found');
+    }
+
+    const wallet = user.wallets.find(w => w.currency === currency);
+    const balanceAfter = wallet.balance;
+
+    if (wallet.demoBalance > balanceAfter) {
+      demo = balanceAfter - wallet.demoBalance;
+      await User.updateOne(
+        { _id: userId, 'wallets.currency': currency },
+        { $set: { 'wallets.$.demoBalance': balanceAfter } },
+        { session }
+      );
+    }
+
+    const [transaction] = await Transaction.create([{
+      type,
+      userId,
+      currency,
+      amount,
+      demoAmount: demo,
+      balanceBefore: balanceAfter - amount,
+      balanceAfter,
+      entries: [
+        { account: Transaction.userAccount(userId, currency), amount },
+        { account: Transaction.counterAccount(type, currency), amount: -amount }
+      ],
+      gameId,
+      roundId,
+      betId,
+      usdPrice: price,
+      usdValue: amount * price,
+      description,
+      metadata
+    }], { session });
+
+    return transaction;
+  }
+
+  // What a player can withdraw: the balance less its demo funds
+  static async getWithdrawable(userId, currency, session = null) {
+    const user = await User.findById(userId).select('wallets').session(session);
+    const wallet = user && user.wallets.find(w => w.currency === currency);
+    return wallet ? Math.max(wallet.balance - (wallet.demoBalance || 0), 0) : 0;
+  }
+
+  // Wallet balances derived from the ledger alone, keyed by currency
+  static async getBalances(userId, session = null) {
+    const prefix = `user:${userId}:`;
+    const sums = await Transaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $unwind: '$entries' },
+      { $match: { 'entries.account': { $regex: `^${prefix}` } } },
+      { $group: { _id: '$entries.account', balance: { $sum: '$entries.amount' } } }
+    ]).session(session);
+
+    return sums.reduce((balances, sum) => {
+      balances[sum._id.slice(prefix.length)] = sum.balance;
+      return balances;
+    }, {});
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+// Transports implement send(message) for { from, to, subject, text, html }
+
+// Logs messages instead of sending them; the default for development
+class ConsoleTransport {
+  async send(message) {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  }
+}
+
+// Appends each message as a JSON line, so tests and local tooling can read
+// the links out of it
+class FileTransport {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(
+      this.filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n'
+    );
+    return { accepted: [message.to] };
+  }
+}
+
+class SmtpTransport {
+  constructor(options) {
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    return this.transporter.sendMail(message);
+  }
+}
+
+class Mailer {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    return this.transport.send({ from: config.mail.from, to, subject, text, html });
+  }
+
+  async sendVerificationEmail(user, token) {
+    const link = `${config.mail.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Crypto Crash email',
+      text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\n` +
+        `The link expires in ${config.mail.verificationTtl}.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address by opening ` +
+        `<a href="${link}">this link</a>.</p><p>The link expires in ${config.mail.verificationTtl}.</p>`
+    });
+  }
+
+  async sendPasswordResetEmail(user, token) {
+    const link = `${config.mail.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Crypto Crash password',
+      text: `Hi ${user.username},\n\nReset your password by opening this link:\n${link}\n\n` +
+        `The link expires in ${config.mail.passwordResetTtl}. If you didn't ask for this, ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Reset your password by opening <a href="${link}">this link</a>.</p>` +
+        `<p>The link expires in ${config.mail.passwordResetTtl}. If you didn't ask for this, ignore this email.</p>`
+    });
+  }
+}
+
+const createTransport = () => {
+  switch (config.mail.transport) {
+    case 'smtp':
+      return new SmtpTransport(config.mail.smtp);
+    case 'file':
+      return new FileTransport(config.mail.filePath);
+    default:
+      return new ConsoleTransport();
+  }
+};
+
+module.exports = new Mailer(createTransport());
+module.exports.Mailer = Mailer;
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
+module.exports.SmtpTransport = SmtpTransport;
@@ -0,0 +1,155 @@
+const User = require('../models/User');
+const RiskService = require('./riskService');
+const config = require('../config/config');
+const { startOfPeriod } = require('../utils/helper');
+
+const PERIODS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+const parseLimit = (name) => {
+  const [, period, kind] = name.match(/^(daily|weekly|monthly)(Wager|Loss)$/);
+  return { period, kind: kind.toLowerCase() };
+};
+
+// Player protection the user sets on themselves: wager and loss limits per
+// day, week and month, cool-offs and self-exclusion. Anything that makes
+// play safer applies at once; raising or removing a limit waits
+// config.protection.loosenDelay, so it can't be done in the heat of a
+// session.
+class ProtectionService {
+
+  // The limit in force at `now`, taking a waiting change once it is due
+  static effectiveLimit(limit, now = new Date()) {
+    if (limit.pendingFrom && limit.pendingFrom <= now) {
+      return limit.pendingAmount;
+    }
+    return limit.amount;
+  }
+
+  // Fold changes that have finished waiting into the limits in force
+  static applyDue(protection, now = new Date()) {
+    for (const name of User.PLAYER_LIMITS) {
+      const limit = protection.limits[name];
+      if (limit.pendingFrom && limit.pendingFrom <= now) {
+        limit.amount = limit.pendingAmount;
+        limit.pendingAmount = null;
+        limit.pendingFrom = null;
+      }
+    }
+  }
+
+  static getStatus(user, now = new Date()) {
+    const { limits, coolOffUntil, selfExcludedUntil, reminderInterval } = user.protection;
+
+    return {
+      limits: User.PLAYER_LIMITS.reduce((status, name) => {
+        const limit = limits[name];
+        const pending = limit.pendingFrom && limit.pendingFrom > now;
+        status[name] = {
+          amount: this.effectiveLimit(limit, now),
+          pendingAmount: pending ? limit.pendingAmount : null,
+          pendingFrom: pending ? limit.pendingFrom : null
+        };
+        return status;
+      }, {}),
+      coolOffUntil: coolOffUntil > now ? coolOffUntil : null,
+      selfExcludedUntil: selfExcludedUntil > now ? selfExcludedUntil : null,
+      reminderInterval
+    };
+  }
+
+  // Change some limits; null removes one. Returns the limits whose change
+  // has to wait.
+  static async setLimits(userId, values) {
+    const user = await User.findById(userId);
+    const now = new Date();
+    const { protection } = user;
+    const delayed = [];
+
+    this.applyDue(protection, now);
+
+    for (const name of User.PLAYER_LIMITS) {
+      const value = values[name];
+      if (value === undefined) continue;
+
+      const limit = protection.limits[name];
+      const tighter = value !== null && (limit.amount === null || value <= limit.amount);
+
+      if (tighter) {
+        // Also drops any raise still waiting
+        limit.amount = value;
+        limit.pendingAmount = null;
+        limit.pendingFrom = null;
+      } else if (value !== limit.amount) {
+        limit.pendingAmount = value;
+        limit.pendingFrom = new Date(now.getTime() + config.protection.loosenDelay);
+        delayed.push(name);
+      }
+    }
+
+    await user.save();
+    return { status: this.getStatus(user, now), delayed };
+  }
+
+  // Breaks can be extended but never cut short
+  static async takeBreak(userId, field, until) {
+    const user = await User.findById(userId);
+    if (user.protection[field] > until) {
+      throw new Error(`You are already on a break until ${user.protection[field].toISOString()}`);
+    }
+
+    user.protection[field] = until;
+    await user.save();
+    return this.getStatus(user);
+  }
+
+  static coolOff(userId, hours) {
+    return this.takeBreak(userId, 'coolOffUntil', new Date(Date.now() + hours * 60 * 60 * 1000));
+  }
+
+  static selfExclude(userId, months) {
+    const until = new Date();
+    until.setUTCMonth(until.getUTCMonth() + months);
+    return this.takeBreak(userId, 'selfExcludedUntil', until);
+  }
+
+  static async setReminderInterval(userId, reminderInterval) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { 'protection.reminderInterval': reminderInterval },
+      { new: true }
+    );
+    return this.getStatus(user);
+  }
+
+  // Throws when the user is on a break or a bet of usdAmount could take
+  // them past one of their limits. Pass the session of the transaction that
+  // debits the bet, see GameService.placeBet.
+  static async checkBet(user, usdAmount, session = null) {
+    const status = this.getStatus(user);
+
+    if (status.selfExcludedUntil) {
+      throw new Error(`You are self-excluded until ${status.selfExcludedUntil.toISOString()}`);
+    }
+    if (status.coolOffUntil) {
+      throw new Error(`You are on a break until ${status.coolOffUntil.toISOString()}`);
+    }
+
+    const totals = {};
+    for (const name of User.PLAYER_LIMITS) {
+      const amount = status.limits[name].amount;
+      if (amount === null) continue;
+
+      const { period, kind } = parseLimit(name);
+      if (!totals[period]) {
+        totals[period] = await RiskService.getTotals(user._id, startOfPeriod(PERIODS[period]), session);
+      }
+
+      const used = kind === 'wager' ? totals[period].wagered : totals[period].lost;
+      if (used + usdAmount > amount) {
+        throw new Error(`This bet could exceed your ${period} ${kind} limit of $${amount}`);
+      }
+    }
+  }
+}
+
+module.exports = ProtectionService;
@@ -1,6 +1,10 @@
 const crypto = require('crypto');
+const fairness = require('crypto-crash-shared');
 const logger = require('../utils/logger');
 
+// Rounds simulated between yields to the event loop
+const SIMULATION_CHUNK = 200;
+
 class ProvablyFair {
   
   // Generate a cryptographically secure seed
@@ -13,27 +17,11 @@ class ProvablyFair {
     return crypto.createHash('sha256').update(seed).digest('hex');
   }
 
-  // Generate crash point using provably fair algorithm
-  static generateCrashPoint(seed, roundNumber) {
+  // Generate crash point using the shared provably fair math, so the
+  // server and the offline verifier can never drift apart
+  static generateCrashPoint(seed, roundNumber, clientSeed = '', crashConfig) {
     try {
-      // Combine seed with round number for uniqueness
-      const data = seed + roundNumber.toString();
-      const hash = crypto.createHash('sha256').update(data).digest('hex');
-      
-      // Convert first 8 characters of hash to number
-      const hexSubstring = hash.substring(0, 8);
-      const intValue = parseInt(hexSubstring, 16);
-      
-      // Calculate crash point using house edge formula
-      // This ensures the house edge while maintaining fairness
-      const houseEdge = 0.04; // 4% house edge
-      const result = (Math.pow(2, 32) - 1 - intValue) / (Math.pow(2, 32) - 1 - intValue * houseEdge);
-      
-      // Ensure minimum crash point and reasonable maximum
-      const crashPoint = Math.max(1.01, Math.min(result, 1000));
-      
-      // Round to 2 decimal places
-      return Math.floor(crashPoint * 100) / 100;
+      return fairness.generateCrashPoint(seed, roundNumber, clientSeed, crashConfig);
     } catch (error) {
       logger.error(`Error generating crash point: ${error.message}`);
       return 1.50; // Fallback crash point
@@ -41,46 +29,59 @@ class ProvablyFair {
   }
 
   // Verify crash point using the same algorithm
-  static verifyCrashPoint(seed, roundNumber, crashPoint) {
-    const calculatedCrashPoint = this.generateCrashPoint(seed, roundNumber);
-    return Math.abs(calculatedCrashPoint - crashPoint) < 0.01;
+  static verifyCrashPoint(seed, roundNumber, crashPoint, clientSeed = '', crashConfig) {
+    return fairness.verifyCrashPoint(seed, roundNumber, crashPoint, clientSeed, crashConfig);
   }
 
-  // Generate next round data
-  static generateRoundData(roundNumber) {
-    const seed = this.generateSeed();
+  // Generate next round data from a hash chain link (see HashChain.nextLink)
+  static generateRoundData(roundNumber, link = null, crashConfig) {
+    const seed = link ? link.seed : this.generateSeed();
     const hash = this.createHash(seed);
-    const crashPoint = this.generateCrashPoint(seed, roundNumber);
+    const clientSeed = link ? link.clientSeed : '';
+    const resolvedConfig = fairness.resolveCrashConfig(crashConfig);
+    const crashPoint = this.generateCrashPoint(seed, roundNumber, clientSeed, resolvedConfig);
     
     return {
       seed,
       hash,
+      clientSeed,
       crashPoint,
+      crashConfig: resolvedConfig,
+      chainId: link ? link.chainId : null,
+      chainPosition: link ? link.chainPosition : null,
       roundId: `round_${Date.now()}_${roundNumber}`
     };
   }
 
-  // Validate fairness proof
-  static validateProof(seed, hash, roundNumber, crashPoint) {
-    try {
-      // Verify hash matches seed
-      const calculatedHash = this.createHash(seed);
-      if (calculatedHash !== hash) {
-        return { valid: false, reason: 'Hash does not match seed' };
-      }
+  // A round's seed must hash to the previous round's seed
+  static verifyChainLink(seed, previousSeed) {
+    return fairness.verifyChainLink(seed, previousSeed);
+  }
 
-      // Verify crash point
-      const calculatedCrashPoint = this.generateCrashPoint(seed, roundNumber);
-      if (Math.abs(calculatedCrashPoint - crashPoint) > 0.01) {
-        return { valid: false, reason: 'Crash point does not match calculation' };
-      }
+  // Walk revealed seeds (oldest first) back to the published terminating hash
+  static verifyChain(seeds, terminatingHash) {
+    return fairness.verifyChain(seeds, terminatingHash);
+  }
 
-      return { valid: true, reason: 'Proof is valid' };
+  // Validate fairness proof
+  static validateProof(seed, hash, roundNumber, crashPoint, clientSeed = '', crashConfig) {
+    try {
+      return fairness.validateProof(seed, hash, roundNumber, crashPoint, clientSeed, crashConfig);
     } catch (error) {
       logger.error(`Error validating proof: ${error.message}`);
       return { valid: false, reason: 'Error during validation' };
     }
   }
+
+  // Play `rounds` rounds on a seeded hash chain and measure the empirical
+  // return to player of cashing out at each target multiplier. Yields to
+  // the event loop between chunks so running rounds keep their timing.
+  static simulate(crashConfig, rounds, seed = this.generateSeed(), targets = [1.5, 2, 5, 10]) {
+    return fairness.simulate(crashConfig, rounds, seed, targets, {
+      pause: () => new Promise(resolve => setImmediate(resolve)),
+      pauseEvery: SIMULATION_CHUNK
+    });
+  }
 }
 
 module.exports = ProvablyFair;
@@ -0,0 +1,123 @@
+const RiskSettings = require('../models/RiskSettings');
+const Transaction = require('../models/Transaction');
+const config = require('../config/config');
+const { startOfPeriod } = require('../utils/helper');
+const logger = require('../utils/logger');
+
+// Ledger types that make up a player's wagering. A cancelled bet's refund
+// takes its stake back out of the day's wager.
+const WAGER_TYPES = ['bet_debit', 'cashout_credit', 'refund'];
+
+// Limits are off when null; 0 is a limit like any other
+const isSet = limit => limit !== null && limit !== undefined;
+
+// House risk limits. The stored settings override config.risk and are
+// cached for a few seconds, so an admin change reaches every instance
+// without a redeploy.
+class RiskService {
+  constructor() {
+    this.settings = null;
+    this.loadedAt = 0;
+    this.cacheTimeout = config.riskSettingsTtl;
+  }
+
+  async getSettings() {
+    if (this.settings && Date.now() - this.loadedAt < this.cacheTimeout) {
+      return this.settings;
+    }
+
+    try {
+      return this.cache(await RiskSettings.findById('global').lean());
+    } catch (error) {
+      // Keep enforcing the last known limits rather than none
+      logger.error(`Error loading risk settings: ${error.message}`);
+      return this.settings || this.cache(null);
+    }
+  }
+
+  // The limits in the stored settings, or config.risk if none are stored
+  fromStored(stored) {
+    const settings = {};
+    for (const limit of RiskSettings.LIMITS) {
+      settings[limit] = stored ? stored[limit] : config.risk[limit];
+    }
+    settings.updatedAt = stored ? stored.updatedAt : null;
+    return settings;
+  }
+
+  cache(stored) {
+    this.settings = this.fromStored(stored);
+    this.loadedAt = Date.now();
+    return this.settings;
+  }
+
+  // Change some limits; the rest keep their current values. Pass the
+  // stored settings to cache() once the write has committed.
+  async update(values, updatedBy, session = null) {
+    const current = await this.getSettings();
+    const update = { updatedBy, updatedAt: new Date() };
+    for (const limit of RiskSettings.LIMITS) {
+      update[limit] = values[limit] !== undefined ? values[limit] : current[limit];
+    }
+
+    const stored = await RiskSettings.findByIdAndUpdate(
+      'global',
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, session }
+    ).lean();
+
+    return { previous: current, stored };
+  }
+
+  // Highest multiplier a bet can reach without winning more than maxWinPerBet
+  maxMultiplierFor(usdAmount, settings) {
+    if (settings.maxWinPerBet === null) return null;
+    return Math.floor((1 + settings.maxWinPerBet / usdAmount) * 100) / 100;
+  }
+
+  // USD wagered, net result and loss of a user since a given time, midnight
+  // UTC by default. Bets still in play count as lost until they cash out.
+  async getTotals(userId, since = startOfPeriod('day'), session = null) {
+    const [totals] = await Transaction.aggregate([
+      { $match: { userId, type: { $in: WAGER_TYPES }, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: null,
+          wagered: {
+            $sum: { $cond: [{ $eq: ['$type', 'cashout_credit'] }, 0, { $multiply: ['$usdValue', -1] }] }
+          },
+          net: { $sum: '$usdValue' }
+        }
+      }
+    ]).session(session);
+
+    const net = totals ? totals.net : 0;
+    return {
+      wagered: totals ? totals.wagered : 0,
+      net,
+      lost: Math.max(-net, 0)
+    };
+  }
+
+  // Throws when a bet of usdAmount could take the user past a daily limit.
+  // Limits set on the user take precedence over the house-wide ones. Pass
+  // the session of the transaction that debits the bet, see placeBet.
+  async checkDailyLimits(user, usdAmount, session = null) {
+    const settings = await this.getSettings();
+    const overrides = user.riskLimits || {};
+    const wagerLimit = isSet(overrides.dailyWagerLimit) ? overrides.dailyWagerLimit : settings.dailyWagerLimit;
+    const lossLimit = isSet(overrides.dailyLossLimit) ? overrides.dailyLossLimit : settings.dailyLossLimit;
+    if (!isSet(wagerLimit) && !isSet(lossLimit)) return;
+
+    const { wagered, lost } = await this.getTotals(user._id, startOfPeriod('day'), session);
+
+    if (isSet(wagerLimit) && wagered + usdAmount > wagerLimit) {
+      throw new Error(`This bet would exceed your daily wager limit of $${wagerLimit}`);
+    }
+    if (isSet(lossLimit) && lost + usdAmount > lossLimit) {
+      throw new Error(`This bet could exceed your daily loss limit of $${lossLimit}`);
+    }
+  }
+}
+
+module.exports = new RiskService();
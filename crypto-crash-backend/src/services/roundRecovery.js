@@ -0,0 +1,196 @@
+const Game = require('../models/Game');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const AuditService = require('./auditService');
+const config = require('../config/config');
+const { withTransaction } = require('../utils/helper');
+const logger = require('../utils/logger');
+
+// Outcome of an open bet in an interrupted round. The crash point was fixed
+// by the seed, so auto cashouts can be resolved exactly, capped at the
+// bet's maximum win as in live play; anything that depended on the player
+// acting is refunded.
+const outcomeFor = (game, bet, policy) => {
+  if (game.status === 'waiting' || policy === 'refund') return { type: 'refund' };
+  if (!bet.autoCashOut) return { type: 'refund' };
+
+  // Live play pays a target the round reaches, the crash point included
+  const target = bet.getCashoutTarget();
+  return { type: target.multiplier <= game.crashPoint ? 'win' : 'loss', target };
+};
+
+// Settles rounds left waiting or running by a process that died, so no
+// debited stake is left hanging. Must run before the loop starts a round.
+class RoundRecovery {
+
+  // Rounds of one game room; rooms recover independently as they start
+  static async recoverOrphanedRounds(roomId, policy = config.recoveryPolicy) {
+    const orphans = await Game.find({
+      status: { $in: ['waiting', 'running'] },
+      settledAt: null,
+      ...Game.roomQuery(roomId)
+    }).sort({ roundNumber: 1 });
+
+    const results = [];
+    for (const game of orphans) {
+      try {
+        const result = await this.recoverRound(game, policy);
+        if (result) results.push(result);
+      } catch (error) {
+        logger.error(`Failed to recover round ${game.roundId}: ${error.message}`);
+      }
+    }
+
+    if (results.length > 0) {
+      logger.warn(`Recovered ${results.length} interrupted round(s) in ${roomId} with policy '${policy}'`);
+    }
+    return results;
+  }
+
+  static async recoverRound(game, policy) {
+    const previousStatus = game.status;
+    const recoveredAt = new Date();
+    const counts = { refundedBets: 0, wonBets: 0, lostBets: 0 };
+
+    const recovered = await withTransaction(async (session) => {
+      counts.refundedBets = 0;
+      counts.wonBets = 0;
+      counts.lostBets = 0;
+
+      // Claiming the round first makes recovery run once per round
+      const claimed = await Game.updateOne(
+        { _id: game._id, status: previousStatus, settledAt: null },
+        {
+          $set: {
+            status: previousStatus === 'waiting' ? 'cancelled' : 'crashed',
+            crashedAt: previousStatus === 'waiting' ? null : (game.crashAt || recoveredAt),
+            currentMultiplier: previousStatus === 'waiting' ? 1 : game.crashPoint,
+            settledAt: recoveredAt
+          }
+        },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) return false;
+
+      let totalPayout = 0;
+
+      // Read the bets back so a cashout committed since the round was
+      // loaded isn't paid again
+      const stored = await Game.findById(game._id).select('bets').session(session);
+
+      for (const bet of stored.bets.filter(b => !b.cashedOut)) {
+        const outcome = outcomeFor(game, bet, policy);
+        // Only the stake still riding is settled here; partial cashouts
+        // already paid out and count towards the bet's profit
+        const openCrypto = bet.getOpenCryptoAmount();
+        const partiallyCashedOut = bet.cashouts.length > 0;
+
+        if (outcome.type === 'refund') {
+          const profit = bet.payout - bet.usdAmount * (1 - openCrypto / bet.cryptoAmount);
+
+          await Game.updateOne(
+            { _id: game._id, bets: { $elemMatch: { _id: bet._id, cashedOut: false } } },
+            { $set: { 'bets.$.refunded': true, 'bets.$.profit': profit } },
+            { session }
+          );
+          await LedgerService.post({
+            userId: bet.userId,
+            currency: bet.currency,
+            amount: openCrypto,
+            type: 'refund',
+            usdPrice: bet.priceAtTime,
+            gameId: game._id,
+            roundId: game.roundId,
+            betId: bet._id,
+            description: `Refund for interrupted round ${game.roundNumber}`,
+            metadata: { policy, previousStatus },
+            demoAmount: bet.getDemoShare(openCrypto),
+            // A partly cashed out bet was played, so it counts in the stats
+            inc: partiallyCashedOut ? { totalBets: 1, totalProfit: profit } : {},
+            session
+          });
+          counts.refundedBets++;
+        } else if (outcome.type === 'win') {
+          const { multiplier, forced } = outcome.target;
+          const cryptoPayout = openCrypto * multiplier;
+          const usdPayout = cryptoPayout * bet.priceAtTime;
+          const profit = bet.payout + usdPayout - bet.usdAmount;
+          const leg = { cryptoAmount: openCrypto, multiplier, payout: usdPayout, isAuto: true, forced };
+
+          await Game.updateOne(
+            { _id: game._id, bets: { $elemMatch: { _id: bet._id, cashedOut: false } } },
+            {
+              $set: {
+                'bets.$.cashedOut': true,
+                'bets.$.cashedOutAt': multiplier,
+                'bets.$.profit': profit
+              },
+              $push: { 'bets.$.cashouts': leg },
+              $inc: { 'bets.$.payout': usdPayout }
+            },
+            { session }
+          );
+          await LedgerService.post({
+            userId: bet.userId,
+            currency: bet.currency,
+            amount: cryptoPayout,
+            type: 'cashout_credit',
+            usdPrice: bet.priceAtTime,
+            gameId: game._id,
+            roundId: game.roundId,
+            betId: bet._id,
+            metadata: { multiplier, isAuto: true, forced, recovered: true },
+            demoAmount: bet.getDemoShare(cryptoPayout),
+            inc: { totalBets: 1, totalWins: 1, totalProfit: profit },
+            session
+          });
+          totalPayout += usdPayout;
+          counts.wonBets++;
+        } else {
+          const profit = bet.payout - bet.usdAmount;
+
+          await Game.updateOne(
+            { _id: game._id, bets: { $elemMatch: { _id: bet._id, cashedOut: false } } },
+            { $set: { 'bets.$.profit': profit } },
+            { session }
+          );
+          await User.updateOne(
+            { _id: bet.userId },
+            { $inc: { totalBets: 1, totalProfit: profit, ...(profit > 0 ? { totalWins: 1 } : {}) } },
+            { session }
+          );
+          counts.lostBets++;
+        }
+      }
+
+      await Game.updateOne(
+        { _id: game._id },
+        {
+          $set: { recovery: { policy, previousStatus, ...counts, recoveredAt } },
+          $inc: { totalPayout }
+        },
+        { session }
+      );
+
+      await AuditService.recordSystem({
+        action: 'game.round_recovered',
+        targetType: 'game',
+        targetId: game.roundId,
+        reason: `Round interrupted while ${previousStatus}`,
+        details: { policy, roundNumber: game.roundNumber, crashPoint: game.crashPoint, ...counts },
+        session
+      });
+
+      return true;
+    });
+
+    if (!recovered) return null;
+
+    logger.warn(`Recovered round ${game.roundId} (${previousStatus}): ` +
+      `${counts.refundedBets} refunded, ${counts.wonBets} won, ${counts.lostBets} lost`);
+
+    return { roundId: game.roundId, previousStatus, policy, ...counts };
+  }
+}
+
+module.exports = RoundRecovery;
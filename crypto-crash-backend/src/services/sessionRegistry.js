@@ -0,0 +1,94 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Keeps revocations in process memory; fine for a single instance and tests
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+}
+
+// Shares revocations between instances through any client exposing
+// ioredis-style get(key) and set(key, value, 'EX', seconds)
+class RedisStore {
+  constructor(client, prefix = 'session:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    return this.client.get(this.prefix + key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(this.prefix + key, value, 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+  }
+}
+
+// Revoked access tokens (by jti) and users (every token issued before a
+// point in time). Emits 'revoked' so live sockets can be dropped at once.
+class SessionRegistry extends EventEmitter {
+  constructor(store = new MemoryStore()) {
+    super();
+    this.store = store;
+  }
+
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Revoke a single access token until it would have expired anyway
+  async revokeToken(decoded, reason = 'revoked') {
+    const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+    if (ttl > 0) {
+      await this.store.set(`jti:${decoded.jti}`, reason, ttl);
+    }
+    this.emit('revoked', { jti: decoded.jti, userId: decoded.id, reason });
+  }
+
+  // Revoke every access token the user holds right now
+  async revokeUser(userId, reason = 'revoked') {
+    await this.store.set(`user:${userId}`, String(Date.now()), config.sessionRevocationTtl);
+    logger.info(`Sessions revoked for user ${userId}: ${reason}`);
+    this.emit('revoked', { userId: userId.toString(), reason });
+  }
+
+  async isRevoked(decoded) {
+    if (decoded.jti && await this.store.get(`jti:${decoded.jti}`)) {
+      return true;
+    }
+
+    const revokedAt = await this.store.get(`user:${decoded.id}`);
+    const issuedAt = decoded.issuedAt || decoded.iat * 1000;
+    return Boolean(revokedAt) && issuedAt < parseInt(revokedAt, 10);
+  }
+}
+
+const createStore = () => {
+  if (config.sessionStore === 'redis') {
+    const Redis = require('ioredis');
+    return new RedisStore(new Redis(process.env.REDIS_URL));
+  }
+  return new MemoryStore();
+};
+
+module.exports = new SessionRegistry(createStore());
+module.exports.SessionRegistry = SessionRegistry;
+module.exports.MemoryStore = MemoryStore;
+module.exports.RedisStore = RedisStore;
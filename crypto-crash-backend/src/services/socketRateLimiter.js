@@ -0,0 +1,45 @@
+const RateLimit = require('../models/RateLimit');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Caps the socket events a user sends per window, however many sockets they
+// spread them over. In cluster mode those sockets can sit on different
+// instances, so the counts are kept in Mongo; a single instance keeps them
+// in memory.
+class SocketRateLimiter {
+  constructor(options = {}) {
+    this.max = options.max || config.socketRateLimit.max;
+    this.window = options.window || config.socketRateLimit.window;
+    this.shared = options.shared !== undefined ? options.shared : config.cluster.enabled;
+    // Local counts for the current window only
+    this.windowStart = 0;
+    this.counts = new Map();
+  }
+
+  // Resolves to whether the user may send one more event now
+  async allow(userId, now = Date.now()) {
+    const count = this.shared
+      ? await RateLimit.hit(`socket:${userId}`, this.window, now).catch(error => {
+        // Better to let events through than stall every socket on a hiccup
+        logger.error(`Socket rate limit error: ${error.message}`);
+        return 0;
+      })
+      : this.hitLocal(userId, now);
+
+    return count <= this.max;
+  }
+
+  hitLocal(userId, now) {
+    const windowStart = Math.floor(now / this.window) * this.window;
+    if (windowStart !== this.windowStart) {
+      this.windowStart = windowStart;
+      this.counts.clear();
+    }
+
+    const count = (this.counts.get(userId) || 0) + 1;
+    this.counts.set(userId, count);
+    return count;
+  }
+}
+
+module.exports = SocketRateLimiter;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenService {
+
+  // Short-lived JWT accepted by the auth and socketAuth middleware.
+  // issuedAt is iat in milliseconds, precise enough to compare against
+  // a revocation made in the same second.
+  static issueAccessToken(user) {
+    return jwt.sign(
+      { id: user._id.toString(), type: 'access', issuedAt: Date.now() },
+      process.env.JWT_SECRET,
+      { expiresIn: config.accessTokenTtl, jwtid: crypto.randomUUID() }
+    );
+  }
+
+  static verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'access') {
+      const error = new Error('Not an access token');
+      error.name = 'JsonWebTokenError';
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  // Single-purpose JWTs (login challenges, email links). The type claim
+  // keeps one kind from being accepted where another is expected.
+  static issuePurposeToken(type, claims, expiresIn) {
+    return jwt.sign({ ...claims, type }, process.env.JWT_SECRET, { expiresIn });
+  }
+
+  static verifyPurposeToken(token, type) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== type) {
+      const error = new Error(`Expected a ${type} token`);
+      error.name = 'JsonWebTokenError';
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  // Proof that the password step of a two-step login succeeded. Only
+  // exchangeable for real tokens together with a second-factor code.
+  static issueTwoFactorChallenge(user) {
+    return this.issuePurposeToken('2fa_challenge', { id: user._id.toString() }, config.totp.challengeTtl);
+  }
+
+  static verifyTwoFactorChallenge(token) {
+    return this.verifyPurposeToken(token, '2fa_challenge');
+  }
+
+  // Bound to the address it was sent to, so it can't verify a changed email
+  static issueEmailVerificationToken(user) {
+    return this.issuePurposeToken(
+      'email_verification',
+      { id: user._id.toString(), email: user.email },
+      config.mail.verificationTtl
+    );
+  }
+
+  static verifyEmailVerificationToken(token) {
+    return this.verifyPurposeToken(token, 'email_verification');
+  }
+
+  // Carries a fingerprint of the current password hash, so the token stops
+  // working once it has been used to set a new password
+  static issuePasswordResetToken(user) {
+    return this.issuePurposeToken(
+      'password_reset',
+      { id: user._id.toString(), pwd: this.passwordFingerprint(user.password) },
+      config.mail.passwordResetTtl
+    );
+  }
+
+  static verifyPasswordResetToken(token) {
+    return this.verifyPurposeToken(token, 'password_reset');
+  }
+
+  static passwordFingerprint(passwordHash) {
+    return hashToken(passwordHash).slice(0, 16);
+  }
+
+  // Opaque random refresh token; only its hash is persisted
+  static async issueRefreshToken(user, { family = crypto.randomUUID(), userAgent = '', ip = '' } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    await RefreshToken.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      family,
+      expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+      userAgent,
+      ip
+    });
+
+    return token;
+  }
+
+  static async issueTokens(user, meta = {}) {
+    return {
+      accessToken: this.issueAccessToken(user),
+      refreshToken: await this.issueRefreshToken(user, meta),
+      expiresIn: config.accessTokenTtl
+    };
+  }
+
+  // Revoke the presented refresh token and issue its successor. Presenting
+  // a token that was already rotated means it leaked, so the whole family
+  // is revoked. Returns the token record's userId with the new tokens.
+  static async rotateRefreshToken(token, meta = {}) {
+    const tokenHash = hashToken(token);
+    const record = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!record) {
+      const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+      if (reused) {
+        logger.warn(`Refresh token reuse detected for user ${reused.userId}, revoking family ${reused.family}`);
+        await this.revokeFamily(reused.family);
+      }
+      throw new Error('Invalid refresh token');
+    }
+
+    const user = { _id: record.userId };
+    const refreshToken = await this.issueRefreshToken(user, { ...meta, family: record.family });
+    await RefreshToken.updateOne({ _id: record._id }, { replacedBy: hashToken(refreshToken) });
+
+    return {
+      userId: record.userId,
+      accessToken: this.issueAccessToken(user),
+      refreshToken,
+      expiresIn: config.accessTokenTtl
+    };
+  }
+
+  static async revokeRefreshToken(token) {
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(token), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  static async revokeFamily(family) {
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+  }
+
+  static async revokeAllForUser(userId) {
+    await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+  }
+}
+
+module.exports = TokenService;
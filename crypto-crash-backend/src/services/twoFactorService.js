@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const config = require('../config/config');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Recovery codes are compared case- and dash-insensitively
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(code.replace(/-/g, '').toLowerCase())
+  .digest('hex');
+
+// TOTP (RFC 6238, SHA-1, 6 digits, 30s steps) plus one-time recovery codes
+class TwoFactorService {
+
+  static generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // otpauth:// URI that authenticator apps read from a QR code
+  static provisioningUri(secret, account) {
+    const issuer = config.totp.issuer;
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: '6',
+      period: String(config.totp.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / config.totp.period);
+  }
+
+  // HOTP (RFC 4226) for one time step
+  static generateCode(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 1000000).padStart(6, '0');
+  }
+
+  // Returns the matching step within the allowed clock drift, or null
+  static verifyCode(secret, code, now = Date.now()) {
+    if (!/^\d{6}$/.test(code || '')) return null;
+
+    const current = this.currentStep(now);
+    for (let drift = -config.totp.window; drift <= config.totp.window; drift++) {
+      const step = current + drift;
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // Plain codes are shown to the user once; only their hashes are stored
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: config.totp.recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(hashRecoveryCode)
+    };
+  }
+
+  // Check a TOTP code for an enrolled user. The accepted step is recorded
+  // atomically so the same code can't be replayed within its window.
+  static async verifyTotp(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user || !user.twoFactor.enabled) return false;
+
+    const step = this.verifyCode(user.twoFactor.secret, code);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  // Consume a recovery code; each one works exactly once
+  static async useRecoveryCode(userId, code) {
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hashRecoveryCode(code) },
+      { $pull: { 'twoFactor.recoveryCodes': hashRecoveryCode(code) } }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  // A TOTP code, or a recovery code when allowed
+  static async verify(userId, code, { allowRecovery = false } = {}) {
+    if (/^\d{6}$/.test(code || '')) {
+      return this.verifyTotp(userId, code);
+    }
+
+    return allowRecovery && Boolean(code) && this.useRecoveryCode(userId, code);
+  }
+}
+
+module.exports = TwoFactorService;
@@ -1,8 +1,28 @@
+const crypto = require('crypto');
 const socketIo = require('socket.io');
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
 const { socketAuth } = require('../middleware/auth');
 const GameService = require('./gameService');
+const CryptoService = require('./cryptoService');
+const SessionRegistry = require('./sessionRegistry');
+const LeaderElection = require('./leaderElection');
+const AutoBetService = require('./autoBetService');
+const ReconciliationService = require('./reconciliationService');
+const SocketRateLimiter = require('./socketRateLimiter');
+const ProtectionService = require('./protectionService');
+const RiskService = require('./riskService');
+const { schemas } = require('../middleware/validation');
+const User = require('../models/User');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 
+// Heartbeat events the per-user rate limit doesn't count
+const UNLIMITED_EVENTS = new Set(['ping', 'pong_ack']);
+
+// Socket gateway for every instance. In cluster mode events fan out to all
+// instances through the Mongo adapter, and only the elected leader runs the
+// game rooms; the others forward game commands to it with execute().
 class WebSocketService {
   constructor(server) {
     this.io = socketIo(server, {
@@ -13,62 +33,259 @@ class WebSocketService {
       }
     });
 
-    this.gameService = new GameService(this.io);
-    this.connectedUsers = new Map();
+    // One loop per configured room, each with its own hash chain. They
+    // stay idle until start() makes this instance the leader.
+    this.rooms = new Map(Object.keys(config.rooms).map(roomId => [
+      roomId,
+      new GameService(this.io, { roomId })
+    ]));
+    this.isLeader = false;
+    this.election = null;
+    this.rateLimiter = new SocketRateLimiter();
+    this.shuttingDown = false;
+
+    // Game commands the leader runs, locally or forwarded by a gateway
+    this.commands = {
+      place_bet: ({ roomId, userId, usdAmount, currency, autoCashOut }) =>
+        this.requireRoom(roomId).placeBet(userId, usdAmount, currency, autoCashOut),
+      cancel_bet: ({ roomId, userId, betId }) =>
+        this.requireRoom(roomId).cancelBet(userId, betId),
+      cashout: ({ roomId, userId, betId, fraction, amount, receivedAt, rtt }) =>
+        this.requireRoom(roomId).processCashout(userId, { betId, fraction, amount, receivedAt, rtt }),
+      room_state: ({ roomId }) => this.getGameState(this.requireRoom(roomId)),
+      room_list: () => this.getRoomList(),
+      room_status: ({ roomId }) => roomId
+        ? this.requireRoom(roomId).getStatus()
+        : Array.from(this.rooms.values()).map(room => room.getStatus()),
+      pause: ({ roomId, reason }) => {
+        const room = this.requireRoom(roomId);
+        return { changed: room.pause(reason), status: room.getStatus() };
+      },
+      resume: ({ roomId }) => {
+        const room = this.requireRoom(roomId);
+        return { changed: room.resume(), status: room.getStatus() };
+      },
+      // Responds right away; the loop stops once the current round has settled
+      drain: ({ roomId }) => {
+        const room = this.requireRoom(roomId);
+        if (room.draining || room.state === 'drained') {
+          return { changed: false, status: room.getStatus() };
+        }
+        room.drain();
+        return { changed: true, status: room.getStatus() };
+      }
+    };
     
     this.setupMiddleware();
     this.setupEventHandlers();
+    this.setupCommandHandler();
+
+    SessionRegistry.on('revoked', (revocation) => {
+      this.disconnectRevoked(revocation).catch(error => {
+        logger.error(`Session revocation error: ${error.message}`);
+      });
+    });
   }
 
-  setupMiddleware() {
-    // Authentication middleware
-    this.io.use(socketAuth);
-    
-    // Rate limiting
-    this.io.use((socket, next) => {
-      const userId = socket.user.id;
-      const now = Date.now();
-      
-      if (!socket.rateLimiter) {
-        socket.rateLimiter = { requests: [], userId };
+  // Call once the database is connected and before accepting connections.
+  // Without cluster mode this instance simply runs the game rooms itself.
+  async start() {
+    if (!config.cluster.enabled) {
+      this.becomeLeader();
+      return;
+    }
+
+    await this.setupAdapter();
+
+    this.election = new LeaderElection('game-loop');
+    this.election.on('elected', () => this.becomeLeader());
+    this.election.on('demoted', () => this.stepDown());
+    this.election.start();
+  }
+
+  // Socket.IO events and server-side commands travel between instances
+  // through a capped collection, which the adapter tails with a change stream
+  async setupAdapter() {
+    const { adapterCollection, commandTimeout } = config.cluster;
+    const db = mongoose.connection.db;
+
+    try {
+      await db.createCollection(adapterCollection, { capped: true, size: 1e7 });
+    } catch (error) {
+      if (error.codeName !== 'NamespaceExists') throw error;
+    }
+
+    this.io.adapter(createAdapter(db.collection(adapterCollection), {
+      requestsTimeout: commandTimeout
+    }));
+    logger.info(`Socket adapter using collection ${adapterCollection}`);
+  }
+
+  becomeLeader() {
+    if (this.shuttingDown) return;
+
+    this.isLeader = true;
+    logger.info(`Running ${this.rooms.size} game room(s) on this instance`);
+    this.rooms.forEach(room => room.start());
+    ReconciliationService.start();
+  }
+
+  // Another instance owns the loop now; whatever this one left open is
+  // recovered when the new leader starts its rooms
+  stepDown() {
+    this.isLeader = false;
+    this.rooms.forEach(room => room.halt());
+    ReconciliationService.stop();
+  }
+
+  setupCommandHandler() {
+    // Every instance answers so the sender doesn't wait out the timeout;
+    // only the leader handles the command
+    this.io.on('command', async (data, callback) => {
+      if (!this.isLeader) {
+        callback({ handled: false });
+        return;
       }
-      
-      // Clean old requests (last minute)
-      socket.rateLimiter.requests = socket.rateLimiter.requests
-        .filter(time => now - time < 60000);
-      
-      // Check rate limit (max 100 requests per minute)
-      if (socket.rateLimiter.requests.length >= 100) {
-        return next(new Error('Rate limit exceeded'));
+
+      try {
+        const result = await this.runCommand(data.command, data.payload);
+        callback({ handled: true, result });
+      } catch (error) {
+        callback({ handled: true, error: error.message });
       }
-      
-      socket.rateLimiter.requests.push(now);
-      next();
     });
   }
 
+  runCommand(command, payload = {}) {
+    const handler = this.commands[command];
+    if (!handler) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    return handler(payload);
+  }
+
+  // Run a game command on the leader, which may be this instance
+  async execute(command, payload = {}) {
+    if (this.isLeader) {
+      return this.runCommand(command, payload);
+    }
+    if (!config.cluster.enabled) {
+      throw new Error('Game server is not running');
+    }
+
+    const responses = await new Promise(resolve => {
+      // On a timeout the responses that did arrive are still passed along
+      this.io.serverSideEmit('command', { command, payload }, (error, responses) => {
+        resolve(responses || []);
+      });
+    });
+
+    const response = responses.find(r => r && r.handled);
+    if (!response) {
+      throw new Error('Game server is unavailable, please try again shortly');
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response.result;
+  }
+
+  setupMiddleware() {
+    // Authentication middleware
+    this.io.use(socketAuth);
+  }
+
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
       const user = socket.user;
       logger.info(`User connected: ${user.username} (${socket.id})`);
       
-      // Store user connection
-      this.connectedUsers.set(user.id, {
-        socket: socket,
-        user: user,
-        connectedAt: new Date()
+      // Per-user room so revocations reach every tab the user has open.
+      // socket.data is what other instances see through fetchSockets().
+      socket.join(`user:${user.id}`);
+      socket.data.userId = user.id;
+      socket.data.username = user.username;
+      socket.data.jti = socket.token.jti;
+      socket.data.connectedAt = new Date();
+      socket.data.instanceId = config.cluster.instanceId;
+
+      // Revocations made on another instance only show up in the store,
+      // so recheck it before handling each event
+      socket.use(async (packet, next) => {
+        try {
+          if (await SessionRegistry.isRevoked(socket.token)) {
+            this.endSession(socket, 'revoked');
+            return;
+          }
+          next();
+        } catch (error) {
+          next(error);
+        }
       });
 
-      // Send current game state
-      this.sendGameState(socket);
+      // Latency pings are left out so a busy user's cashout timing stays exact
+      socket.use(async ([event], next) => {
+        if (UNLIMITED_EVENTS.has(event) || await this.rateLimiter.allow(user.id)) {
+          next();
+          return;
+        }
+        socket.emit('error', { message: 'Too many requests, please slow down' });
+      });
+
+      // Everyone starts in the default room and can join others
+      const defaultRoom = this.getRoom(config.defaultRoom);
+      socket.join(defaultRoom.channel);
+      this.sendGameState(socket, defaultRoom.roomId).catch(error => {
+        logger.error(`Game state error: ${error.message}`);
+      });
+
+      socket.on('list_rooms', async () => {
+        try {
+          socket.emit('room_list', await this.execute('room_list'));
+        } catch (error) {
+          logger.error(`Room list error: ${error.message}`);
+          socket.emit('error', { message: 'Failed to fetch rooms' });
+        }
+      });
+
+      socket.on('join_room', async (data) => {
+        try {
+          const room = this.getRoom(data && data.roomId);
+          if (!room) {
+            socket.emit('error', { message: 'Unknown room' });
+            return;
+          }
+
+          socket.join(room.channel);
+          const { room: roomInfo } = await this.sendGameState(socket, room.roomId);
+          socket.emit('room_joined', roomInfo);
+        } catch (error) {
+          logger.error(`Join room error: ${error.message}`);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      socket.on('leave_room', (data) => {
+        const room = this.getRoom(data && data.roomId);
+        if (room) {
+          socket.leave(room.channel);
+          socket.emit('room_left', { roomId: room.roomId });
+        }
+      });
       
-      // Handle place bet
+      // Handle place bet. Room limits are checked by the room's GameService.
       socket.on('place_bet', async (data) => {
         try {
-          const { usdAmount, currency, autoCashOut } = data;
+          const { usdAmount, currency, autoCashOut, roomId } = data;
           
           // Validation
-          if (!usdAmount || usdAmount < 0.01 || usdAmount > 10000) {
+          const room = this.getRoom(roomId);
+          if (!room) {
+            socket.emit('error', { message: 'Unknown room' });
+            return;
+          }
+
+          if (typeof usdAmount !== 'number' || !(usdAmount > 0)) {
             socket.emit('error', { message: 'Invalid bet amount' });
             return;
           }
@@ -78,17 +295,18 @@ class WebSocketService {
             return;
           }
           
-          if (autoCashOut && (autoCashOut < 1.01 || autoCashOut > 1000)) {
+          if (autoCashOut && autoCashOut < 1.01) {
             socket.emit('error', { message: 'Invalid auto cashout value' });
             return;
           }
 
-          const result = await this.gameService.placeBet(
-            user.id, 
-            usdAmount, 
-            currency, 
+          const result = await this.execute('place_bet', {
+            roomId: room.roomId,
+            userId: user.id,
+            usdAmount,
+            currency,
             autoCashOut
-          );
+          });
           
           socket.emit('bet_placed_success', result);
           
@@ -98,10 +316,69 @@ class WebSocketService {
         }
       });
 
+      // Handle bet cancellation, only possible while the round is waiting
+      socket.on('cancel_bet', async (data) => {
+        try {
+          const { roomId, betId } = data || {};
+          const room = this.getRoom(roomId);
+          if (!room) {
+            socket.emit('error', { message: 'Unknown room' });
+            return;
+          }
+
+          if (typeof betId !== 'string') {
+            socket.emit('error', { message: 'Invalid bet' });
+            return;
+          }
+
+          const result = await this.execute('cancel_bet', {
+            roomId: room.roomId,
+            userId: user.id,
+            betId
+          });
+          socket.emit('bet_cancelled_success', result);
+
+        } catch (error) {
+          logger.error(`Cancel bet error for ${user.username}: ${error.message}`);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
       // Handle cashout
-      socket.on('cashout', async () => {
+      socket.on('cashout', async (data) => {
+        // Stamp the request before anything else can delay it, forwarding
+        // included (instance clocks are kept in sync)
+        const receivedAt = Date.now();
+
         try {
-          const result = await this.gameService.processCashout(user.id);
+          const room = this.getRoom(data && data.roomId);
+          if (!room) {
+            socket.emit('error', { message: 'Unknown room' });
+            return;
+          }
+
+          // Optionally only part of the open stake: a fraction of it or a USD amount
+          const { betId, fraction, amount } = data || {};
+          if (fraction !== undefined && fraction !== null &&
+            (typeof fraction !== 'number' || !(fraction > 0 && fraction <= 1))) {
+            socket.emit('error', { message: 'Invalid cashout fraction' });
+            return;
+          }
+          if (amount !== undefined && amount !== null &&
+            (typeof amount !== 'number' || !(amount > 0))) {
+            socket.emit('error', { message: 'Invalid cashout amount' });
+            return;
+          }
+
+          const result = await this.execute('cashout', {
+            roomId: room.roomId,
+            userId: user.id,
+            betId,
+            fraction,
+            amount,
+            receivedAt,
+            rtt: socket.data.rtt
+          });
           socket.emit('cashout_success', result);
           
         } catch (error) {
@@ -110,11 +387,63 @@ class WebSocketService {
         }
       });
 
+      // Auto-bet programs are kept in the database and run by the leader's
+      // game loop, so these need no forwarding
+      socket.on('list_autobets', async () => {
+        try {
+          socket.emit('autobet_list', await AutoBetService.list(user.id));
+        } catch (error) {
+          logger.error(`List auto bets error: ${error.message}`);
+          socket.emit('error', { message: 'Failed to fetch auto-bet programs' });
+        }
+      });
+
+      socket.on('start_autobet', async (data) => {
+        try {
+          const { error, value } = schemas.autoBetProgram.validate(data || {}, { stripUnknown: true });
+          if (error) {
+            socket.emit('error', { message: error.details[0].message });
+            return;
+          }
+
+          const program = await AutoBetService.create(user.id, value);
+          AutoBetService.notify(this.io, program);
+        } catch (error) {
+          logger.error(`Start auto bet error for ${user.username}: ${error.message}`);
+          socket.emit('error', { message: error.message });
+        }
+      });
+
+      socket.on('cancel_autobet', async (data) => {
+        try {
+          const programId = data && data.programId;
+          const program = mongoose.isValidObjectId(programId)
+            ? await AutoBetService.cancel(user.id, programId)
+            : null;
+
+          if (!program) {
+            socket.emit('error', { message: 'No running auto-bet program found' });
+            return;
+          }
+          AutoBetService.notify(this.io, program);
+        } catch (error) {
+          logger.error(`Cancel auto bet error for ${user.username}: ${error.message}`);
+          socket.emit('error', { message: 'Failed to cancel auto-bet program' });
+        }
+      });
+
       // Handle game history request
       socket.on('get_game_history', async (data) => {
         try {
-          const { limit = 50 } = data;
-          const history = await this.gameService.getGameHistory(limit);
+          const { limit = 50, roomId } = data || {};
+          const room = this.getRoom(roomId);
+          if (!room) {
+            socket.emit('error', { message: 'Unknown room' });
+            return;
+          }
+
+          // Read straight from the database, no need to ask the leader
+          const history = await room.getGameHistory(limit);
           socket.emit('game_history', history);
           
         } catch (error) {
@@ -126,11 +455,14 @@ class WebSocketService {
       // Handle user stats request
       socket.on('get_user_stats', async () => {
         try {
+          // socket.user is loaded at connect time, so reload for live balances
+          const freshUser = await User.findById(user.id)
+            .select('totalBets totalWins totalProfit wallets');
           const userStats = {
-            totalBets: user.totalBets,
-            totalWins: user.totalWins,
-            totalProfit: user.totalProfit,
-            wallets: user.wallets
+            totalBets: freshUser.totalBets,
+            totalWins: freshUser.totalWins,
+            totalProfit: freshUser.totalProfit,
+            wallets: await CryptoService.updateWalletValues(freshUser.wallets)
           };
           socket.emit('user_stats', userStats);
           
@@ -140,38 +472,187 @@ class WebSocketService {
         }
       });
 
+      socket.on('get_protection', async () => {
+        try {
+          const freshUser = await User.findById(user.id).select('protection');
+          socket.emit('protection_status', ProtectionService.getStatus(freshUser));
+        } catch (error) {
+          logger.error(`Protection status error: ${error.message}`);
+          socket.emit('error', { message: 'Failed to fetch player protection settings' });
+        }
+      });
+
+      socket.on('set_reminder_interval', async (data) => {
+        try {
+          const { error, value } = schemas.reminderInterval.validate(data || {});
+          if (error) {
+            socket.emit('error', { message: error.details[0].message });
+            return;
+          }
+
+          const status = await ProtectionService.setReminderInterval(user.id, value.reminderInterval);
+          this.io.to(`user:${user.id}`).emit('protection_status', status);
+        } catch (error) {
+          logger.error(`Set reminders error for ${user.username}: ${error.message}`);
+          socket.emit('error', { message: 'Failed to update reminders' });
+        }
+      });
+
+      // Wagered and net result since the client's session began, for reminders
+      socket.on('get_session_summary', async (data) => {
+        try {
+          const { error, value } = schemas.sessionSummary.validate(data || {});
+          if (error) {
+            socket.emit('error', { message: error.details[0].message });
+            return;
+          }
+
+          const { wagered, net } = await RiskService.getTotals(user._id, value.since);
+          socket.emit('session_summary', { since: value.since, wagered, net });
+        } catch (error) {
+          logger.error(`Session summary error for ${user.username}: ${error.message}`);
+          socket.emit('error', { message: 'Failed to fetch session summary' });
+        }
+      });
+
       // Handle disconnect
       socket.on('disconnect', (reason) => {
         logger.info(`User disconnected: ${user.username} (${reason})`);
-        this.connectedUsers.delete(user.id);
       });
 
-      // Handle ping/pong for connection health
+      // Handle ping/pong for connection health. The client echoes the pong's
+      // nonce back in pong_ack, and the round trip is timed from when the
+      // server sent it, so the client can't claim an older send time
       socket.on('ping', () => {
-        socket.emit('pong');
+        const nonce = crypto.randomBytes(8).toString('hex');
+        socket.pendingPing = { nonce, sentAt: Date.now() };
+        socket.emit('pong', { nonce, serverTime: socket.pendingPing.sentAt });
+      });
+
+      socket.on('pong_ack', (data) => {
+        this.recordLatency(socket, data && data.nonce);
       });
     });
   }
 
-  sendGameState(socket) {
-    const currentGame = this.gameService.getCurrentGame();
-    if (currentGame) {
-      socket.emit('game_state', {
+  // Drop sockets authenticated with a revoked token, or every socket of the
+  // user when the whole account was revoked
+  async disconnectRevoked({ jti, userId, reason }) {
+    const sockets = await this.io.in(`user:${userId}`).fetchSockets();
+
+    sockets
+      .filter(socket => !jti || socket.data.jti === jti)
+      .forEach(socket => this.endSession(socket, reason));
+  }
+
+  endSession(socket, reason) {
+    logger.info(`Ending session for ${socket.data.username}: ${reason}`);
+    socket.emit('session_revoked', { reason });
+    socket.disconnect(true);
+  }
+
+  // Only the latest pong counts, once. A client can still delay its ack,
+  // so samples are capped at config.maxRoundTrip.
+  recordLatency(socket, nonce) {
+    const ping = socket.pendingPing;
+    if (!ping || typeof nonce !== 'string' || nonce !== ping.nonce) return;
+    socket.pendingPing = null;
+
+    const sample = Math.min(Date.now() - ping.sentAt, config.maxRoundTrip);
+
+    // Smooth with an exponential moving average so one slow sample doesn't dominate
+    socket.data.rtt = socket.data.rtt === undefined
+      ? sample
+      : Math.round(socket.data.rtt * 0.8 + sample * 0.2);
+  }
+
+  // Room service by id; the default room when none is given
+  getRoom(roomId = config.defaultRoom) {
+    return this.rooms.get(roomId || config.defaultRoom) || null;
+  }
+
+  // Like getRoom() but for commands, which need a room to act on
+  requireRoom(roomId) {
+    const room = this.getRoom(roomId);
+    if (!room) {
+      throw new Error('Unknown room');
+    }
+    return room;
+  }
+
+  getRoomList() {
+    return Array.from(this.rooms.values()).map(room => room.getRoomInfo());
+  }
+
+  // Drain every room's loop, e.g. before shutdown. A gateway stops
+  // campaigning first so it doesn't pick the loop up on its way out.
+  drain() {
+    this.shuttingDown = true;
+    if (this.election && !this.isLeader) {
+      this.election.stop();
+    }
+    return Promise.all(Array.from(this.rooms.values()).map(room => room.drain()));
+  }
+
+  // Hand the game loop over to another instance straight away
+  async resign() {
+    if (this.election) {
+      await this.election.release();
+    }
+  }
+
+  getClusterInfo() {
+    return {
+      enabled: config.cluster.enabled,
+      instanceId: config.cluster.instanceId,
+      isLeader: this.isLeader
+    };
+  }
+
+  // Send a room's state, fetched from the leader, to a socket joining it
+  async sendGameState(socket, roomId) {
+    const state = await this.execute('room_state', { roomId });
+    if (state.game) {
+      socket.emit('game_state', state.game);
+    }
+    return state;
+  }
+
+  // The room's public info plus its live round, if any
+  getGameState(gameService) {
+    const currentGame = gameService.getCurrentGame();
+    const room = gameService.getRoomInfo();
+
+    return {
+      room,
+      game: currentGame ? {
+        roomId: gameService.roomId,
+        room,
         roundId: currentGame.roundId,
+        roundNumber: currentGame.roundNumber,
         status: currentGame.status,
+        loopState: gameService.state,
         currentMultiplier: currentGame.currentMultiplier,
         hash: currentGame.hash,
+        clientSeed: currentGame.clientSeed,
+        chainPosition: currentGame.chainPosition,
+        hashChain: gameService.getHashChainInfo(),
         startedAt: currentGame.startedAt,
+        growthRate: currentGame.growthRate,
+        serverTime: Date.now(),
         bets: currentGame.bets.map(bet => ({
+          _id: bet._id,
           username: bet.username,
           usdAmount: bet.usdAmount,
           currency: bet.currency,
           autoCashOut: bet.autoCashOut,
           cashedOut: bet.cashedOut,
-          cashedOutAt: bet.cashedOutAt
+          cashedOutAt: bet.cashedOutAt,
+          payout: bet.payout,
+          cashouts: bet.cashouts
         }))
-      });
-    }
+      } : null
+    };
   }
 
   // Broadcast to all connected clients
@@ -179,24 +660,28 @@ class WebSocketService {
     this.io.emit(event, data);
   }
 
-  // Send to specific user
+  // Send to every socket of a user, on whichever instance it is connected
   sendToUser(userId, event, data) {
-    const connection = this.connectedUsers.get(userId);
-    if (connection) {
-      connection.socket.emit(event, data);
-    }
+    this.io.to(`user:${userId}`).emit(event, data);
   }
 
-  // Get connected users count
-  getConnectedUsersCount() {
-    return this.connectedUsers.size;
+  // Get connected users count, across all instances
+  async getConnectedUsersCount() {
+    const connections = await this.getConnectedUsers();
+    return new Set(connections.map(conn => conn.userId)).size;
   }
 
-  // Get connected users info
-  getConnectedUsers() {
-    return Array.from(this.connectedUsers.values()).map(conn => ({
-      username: conn.user.username,
-      connectedAt: conn.connectedAt
+  // Get connected sockets info, across all instances
+  async getConnectedUsers() {
+    const sockets = await this.io.fetchSockets();
+    return sockets.map(socket => ({
+      userId: socket.data.userId,
+      username: socket.data.username,
+      socketId: socket.id,
+      instanceId: socket.data.instanceId,
+      ip: socket.handshake.address,
+      rtt: socket.data.rtt,
+      connectedAt: socket.data.connectedAt
     }));
   }
 }
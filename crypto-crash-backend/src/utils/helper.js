@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Run fn(session) in a Mongo transaction and return its result. The driver
+// retries fn on transient errors such as write conflicts, so fn must only
+// make changes through the session. Transactions need a replica set; a
+// single-node one is enough for development. `options` are the
+// transaction options, e.g. a read concern.
+const withTransaction = async (fn, options) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    }, options);
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Start of the UTC day, ISO week (from Monday) or month containing `now`
+const startOfPeriod = (period, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const date = now.getUTCDate();
+
+  if (period === 'month') return new Date(Date.UTC(year, month, 1));
+  if (period === 'week') return new Date(Date.UTC(year, month, date - (now.getUTCDay() + 6) % 7));
+  return new Date(Date.UTC(year, month, date));
+};
+
+module.exports = { withTransaction, startOfPeriod };
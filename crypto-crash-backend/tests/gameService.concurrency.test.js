@@ -0,0 +1,170 @@
+const Game = require('../src/models/Game');
+const User = require('../src/models/User');
+const Transaction = require('../src/models/Transaction');
+const GameService = require('../src/services/gameService');
+const CryptoService = require('../src/services/cryptoService');
+const RiskService = require('../src/services/riskService');
+const ReconciliationService = require('../src/services/reconciliationService');
+const db = require('./helpers/db');
+
+const io = { to: () => ({ emit: () => {} }) };
+
+const fulfilled = results => results.filter(result => result.status === 'fulfilled');
+
+describe('GameService under concurrent requests', () => {
+  let gameService;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    jest.spyOn(CryptoService, 'getPrice').mockResolvedValue(db.BTC_PRICE);
+    gameService = new GameService(io, { roomId: 'main' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Every test ends with the cached wallets matching the ledger
+  const expectReconciled = async () => {
+    const report = await ReconciliationService.run();
+    expect(report.drifts).toEqual([]);
+  };
+
+  it('never overdraws a wallet when bets race', async () => {
+    gameService.room = { ...gameService.room, maxBetsPerRound: 10 };
+    // $50 covers two $20 bets
+    const user = await db.createUser(0.001);
+    const game = await db.openRound(gameService);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => gameService.placeBet(user._id, 20, 'BTC'))
+    );
+
+    expect(fulfilled(results)).toHaveLength(2);
+    expect(await db.getBalance(user._id)).toBeCloseTo(0.0002, 12);
+
+    const stored = await Game.findById(game._id);
+    expect(stored.bets).toHaveLength(2);
+    expect(stored.totalBets).toBe(40);
+    expect(await Transaction.countDocuments({ type: 'bet_debit' })).toBe(2);
+    await expectReconciled();
+  });
+
+  it('holds maxBetsPerRound when one user bets in parallel', async () => {
+    const user = await db.createUser(1);
+    const game = await db.openRound(gameService);
+    const { maxBetsPerRound } = gameService.room;
+
+    const results = await Promise.allSettled(
+      Array.from({ length: maxBetsPerRound + 3 }, () => gameService.placeBet(user._id, 10, 'BTC'))
+    );
+
+    expect(fulfilled(results)).toHaveLength(maxBetsPerRound);
+    expect((await Game.findById(game._id)).bets).toHaveLength(maxBetsPerRound);
+    // Rejected bets were rolled back with their debits
+    expect(await Transaction.countDocuments({ type: 'bet_debit' })).toBe(maxBetsPerRound);
+    await expectReconciled();
+  });
+
+  it('holds a daily wager limit when bets race', async () => {
+    gameService.room = { ...gameService.room, maxBetsPerRound: 10 };
+    const user = await db.createUser(1);
+    await User.updateOne({ _id: user._id }, { 'riskLimits.dailyWagerLimit': 50 });
+    await db.openRound(gameService);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => gameService.placeBet(user._id, 20, 'BTC'))
+    );
+
+    expect(fulfilled(results)).toHaveLength(2);
+    expect((await RiskService.getTotals(user._id)).wagered).toBeCloseTo(40, 6);
+    await expectReconciled();
+  });
+
+  it('holds a player-set loss limit when bets race', async () => {
+    gameService.room = { ...gameService.room, maxBetsPerRound: 10 };
+    const user = await db.createUser(1);
+    await User.updateOne({ _id: user._id }, { 'protection.limits.weeklyLoss.amount': 30 });
+    await db.openRound(gameService);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => gameService.placeBet(user._id, 20, 'BTC'))
+    );
+
+    // Open bets count as lost, so a second $20 bet could lose $40
+    expect(fulfilled(results)).toHaveLength(1);
+    expect(await Transaction.countDocuments({ type: 'bet_debit' })).toBe(1);
+    await expectReconciled();
+  });
+
+  it('pays a bet once when cashouts for it race', async () => {
+    const user = await db.createUser(0.01);
+    await db.openRound(gameService);
+    const { bet } = await gameService.placeBet(user._id, 100, 'BTC');
+    await gameService.startGame();
+
+    const receivedAt = gameService.currentGame.startedAt.getTime() + 1000;
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => gameService.processCashout(user._id, { betId: bet._id, receivedAt }))
+    );
+
+    expect(fulfilled(results)).toHaveLength(1);
+    const { payout } = fulfilled(results)[0].value;
+    expect(await Transaction.countDocuments({ type: 'cashout_credit' })).toBe(1);
+    expect(await db.getBalance(user._id)).toBeCloseTo(0.01 + (payout - 100) / db.BTC_PRICE, 12);
+    expect((await User.findById(user._id)).totalBets).toBe(1);
+    await expectReconciled();
+  });
+
+  it('never cashes out more than the stake when partial cashouts race', async () => {
+    const user = await db.createUser(0.01);
+    await db.openRound(gameService);
+    const { bet } = await gameService.placeBet(user._id, 100, 'BTC');
+    await gameService.startGame();
+
+    const receivedAt = gameService.currentGame.startedAt.getTime() + 1000;
+    await Promise.allSettled(
+      Array.from({ length: 6 }, () => gameService.processCashout(user._id, { betId: bet._id, fraction: 0.5, receivedAt }))
+    );
+
+    const stored = (await Game.findById(gameService.currentGame._id)).bets.id(bet._id);
+    const cashedOut = stored.cashouts.reduce((sum, leg) => sum + leg.cryptoAmount, 0);
+    expect(cashedOut).toBeLessThanOrEqual(stored.cryptoAmount * (1 + 1e-9));
+    expect(await Transaction.countDocuments({ type: 'cashout_credit' })).toBe(stored.cashouts.length);
+    await expectReconciled();
+  });
+
+  it('either pays or settles as lost a cashout that races settlement', async () => {
+    const user = await db.createUser(0.01);
+    await db.openRound(gameService);
+    const { bet } = await gameService.placeBet(user._id, 100, 'BTC');
+    await gameService.startGame();
+    await gameService.crashGame();
+
+    // Sent before the crash time, so only settlement can stop it
+    const receivedAt = gameService.currentGame.startedAt.getTime() + 1000;
+    await Promise.allSettled([
+      gameService.processCashout(user._id, { betId: bet._id, receivedAt }),
+      gameService.settleRound()
+    ]);
+
+    const stored = await Game.findById(gameService.currentGame._id);
+    const storedBet = stored.bets.id(bet._id);
+    const credits = await Transaction.countDocuments({ type: 'cashout_credit' });
+
+    expect(stored.settledAt).not.toBeNull();
+    if (storedBet.cashedOut) {
+      expect(credits).toBe(1);
+      expect(storedBet.profit).toBeGreaterThan(0);
+    } else {
+      expect(credits).toBe(0);
+      expect(storedBet.profit).toBe(-100);
+    }
+    // Counted once, by whichever won
+    expect((await User.findById(user._id)).totalBets).toBe(1);
+    await expectReconciled();
+  });
+});
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Game = require('../../src/models/Game');
+const LedgerService = require('../../src/services/ledgerService');
+const RiskService = require('../../src/services/riskService');
+const { withTransaction } = require('../../src/utils/helper');
+
+// Price every test wallet uses, so USD and crypto amounts are easy to relate
+const BTC_PRICE = 50000;
+
+// Connect to a database of our own on the shared replica set and create
+// every collection up front: collections can't be created by the first
+// write inside a transaction that races another.
+const connect = async () => {
+  await mongoose.connect(process.env.MONGO_TEST_URI, {
+    dbName: `test_${crypto.randomBytes(6).toString('hex')}`
+  });
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).createCollection()));
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+};
+
+const disconnect = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
+
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+  RiskService.settings = null;
+};
+
+// A user funded through the ledger, with demo funds ('demo_credit') as
+// registration does or with funds of their own
+const createUser = async (btcBalance, type = 'bonus') => {
+  const id = crypto.randomBytes(4).toString('hex');
+  const user = new User({ email: `${id}@example.com`, password: 'password', username: `player_${id}` });
+  user.initializeWallets();
+  user.wallets.forEach(wallet => {
+    wallet.balance = 0;
+  });
+
+  await withTransaction(async (session) => {
+    await user.save({ session });
+    await LedgerService.post({
+      userId: user._id,
+      currency: 'BTC',
+      amount: btcBalance,
+      type,
+      usdPrice: BTC_PRICE,
+      session
+    });
+  });
+
+  return user;
+};
+
+const getBalance = async (userId, currency = 'BTC') => {
+  const user = await User.findById(userId).select('wallets');
+  return user.wallets.find(wallet => wallet.currency === currency).balance;
+};
+
+let roundNumber = 0;
+
+// Open a betting round with a known crash point on a GameService, as
+// startNewRound would, without touching the hash chain or timers
+const openRound = async (gameService, crashPoint = 100) => {
+  roundNumber++;
+  const game = await Game.create({
+    roundId: `round_${Date.now()}_${roundNumber}`,
+    roundNumber,
+    roomId: gameService.roomId,
+    seed: crypto.randomBytes(32).toString('hex'),
+    hash: crypto.randomBytes(32).toString('hex'),
+    crashPoint,
+    status: 'waiting'
+  });
+
+  gameService.currentGame = game;
+  gameService.state = 'betting';
+  gameService.riskLimits = await RiskService.getSettings();
+  return game;
+};
+
+module.exports = {
+  BTC_PRICE,
+  connect,
+  disconnect,
+  clear,
+  createUser,
+  getBalance,
+  openRound
+};
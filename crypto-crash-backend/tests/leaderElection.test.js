@@ -0,0 +1,144 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const mongoose = require('mongoose');
+const Lease = require('../src/models/Lease');
+const LeaderElection = require('../src/services/leaderElection');
+const db = require('./helpers/db');
+
+// Matches the options tests/processes/leaderInstance.js campaigns with
+const LEASE_TTL = 1500;
+const RENEW_INTERVAL = 300;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('LeaderElection', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('across processes', () => {
+    const instances = new Map();
+    const events = [];
+
+    const startInstance = (instanceId) => {
+      const child = spawn(process.execPath, [
+        path.join(__dirname, 'processes', 'leaderInstance.js'),
+        mongoose.connection.db.databaseName,
+        instanceId
+      ], { env: process.env, stdio: ['ignore', 'pipe', 'inherit'] });
+
+      let buffered = '';
+      child.stdout.on('data', (chunk) => {
+        buffered += chunk;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.forEach(line => events.push(JSON.parse(line)));
+      });
+
+      instances.set(instanceId, child);
+    };
+
+    const stopInstance = (instanceId, signal) => {
+      const child = instances.get(instanceId);
+      instances.delete(instanceId);
+      return new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill(signal);
+      });
+    };
+
+    const eventsOf = event => events.filter(entry => entry.event === event);
+
+    const waitFor = async (check, timeout) => {
+      const deadline = Date.now() + timeout;
+      while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the election');
+        await sleep(50);
+      }
+    };
+
+    // Who led when, from the reports; an instance killed outright never
+    // reports its demotion, so it ends where it was killed
+    const leadership = (killed) => {
+      const terms = [];
+      events.forEach((entry) => {
+        if (entry.event === 'elected') {
+          terms.push({ instanceId: entry.instanceId, from: entry.at, to: Infinity });
+        } else if (entry.event === 'demoted') {
+          const term = terms.find(t => t.instanceId === entry.instanceId && t.to === Infinity);
+          term.to = entry.at;
+        }
+      });
+      terms.forEach((term) => {
+        if (killed[term.instanceId] && term.to === Infinity) term.to = killed[term.instanceId];
+      });
+      return terms;
+    };
+
+    afterAll(async () => {
+      await Promise.all([...instances.keys()].map(id => stopInstance(id, 'SIGKILL')));
+    });
+
+    it('elects one leader and hands over when it stops', async () => {
+      ['a', 'b', 'c'].forEach(startInstance);
+
+      await waitFor(() => eventsOf('started').length === 3 && eventsOf('elected').length === 1, 10000);
+      // Several renewals later nobody else has taken over
+      await sleep(LEASE_TTL * 2);
+      expect(eventsOf('elected')).toHaveLength(1);
+
+      // A leader that crashes keeps the lease until it lapses
+      const first = eventsOf('elected')[0].instanceId;
+      const killed = { [first]: Date.now() };
+      await stopInstance(first, 'SIGKILL');
+
+      await waitFor(() => eventsOf('elected').length === 2, LEASE_TTL + RENEW_INTERVAL * 4);
+      const second = eventsOf('elected')[1];
+      expect(second.instanceId).not.toBe(first);
+
+      // One that shuts down releases it, so the last one takes over at once
+      killed[second.instanceId] = Date.now();
+      await stopInstance(second.instanceId, 'SIGTERM');
+      await waitFor(() => eventsOf('elected').length === 3, RENEW_INTERVAL * 4);
+
+      const third = eventsOf('elected')[2];
+      expect(third.at - killed[second.instanceId]).toBeLessThan(LEASE_TTL);
+      expect((await Lease.findById('test-loop')).holder).toBe(third.instanceId);
+
+      // Terms never overlapped
+      const terms = leadership(killed).sort((a, b) => a.from - b.from);
+      terms.slice(1).forEach((term, i) => {
+        expect(term.from).toBeGreaterThanOrEqual(terms[i].to);
+      });
+    });
+  });
+
+  it('steps down when renewing the lease hangs', async () => {
+    const election = new LeaderElection('stalled-loop', {
+      instanceId: 'stalled',
+      leaseTtl: 1000,
+      renewInterval: 200,
+      acquireTimeout: 100
+    });
+    const elected = new Promise(resolve => election.once('elected', resolve));
+    const demoted = new Promise(resolve => election.once('demoted', resolve));
+
+    // Takes the lease, then the database stops answering
+    jest.spyOn(Lease, 'findOneAndUpdate')
+      .mockResolvedValueOnce({})
+      .mockReturnValue(new Promise(() => {}));
+
+    election.start();
+    await elected;
+    const electedAt = Date.now();
+    await demoted;
+    election.stop();
+
+    expect(election.isLeader).toBe(false);
+    // Well before the lease it last renewed runs out
+    expect(Date.now() - electedAt).toBeLessThan(1000);
+  });
+});
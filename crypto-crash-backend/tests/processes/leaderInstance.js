@@ -0,0 +1,39 @@
+// One instance campaigning for a lease, run as its own process by the
+// leader election test. Reports what happens to it as JSON lines.
+require('../setup/silenceLogger');
+const mongoose = require('mongoose');
+const LeaderElection = require('../../src/services/leaderElection');
+
+const [dbName, instanceId] = process.argv.slice(2);
+
+const report = (event) => {
+  process.stdout.write(`${JSON.stringify({ event, instanceId, at: Date.now() })}\n`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_TEST_URI, { dbName });
+
+  const election = new LeaderElection('test-loop', {
+    instanceId,
+    leaseTtl: 1500,
+    renewInterval: 300,
+    acquireTimeout: 500
+  });
+  election.on('elected', () => report('elected'));
+  election.on('demoted', () => report('demoted'));
+
+  // A graceful shutdown hands the lease over at once
+  process.on('SIGTERM', async () => {
+    await election.release();
+    await mongoose.disconnect();
+    process.exit(0);
+  });
+
+  election.start();
+  report('started');
+};
+
+run().catch(error => {
+  process.stderr.write(`${error.stack}\n`);
+  process.exit(1);
+});
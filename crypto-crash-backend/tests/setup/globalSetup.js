@@ -0,0 +1,10 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+module.exports = async () => {
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' }
+  });
+
+  global.__MONGO_REPL_SET__ = replSet;
+  process.env.MONGO_TEST_URI = replSet.getUri();
+};
@@ -0,0 +1,3 @@
+module.exports = async () => {
+  await global.__MONGO_REPL_SET__.stop();
+};
@@ -0,0 +1,6 @@
+// Keep test output to the test results
+const logger = require('../../src/utils/logger');
+
+logger.info = () => {};
+logger.warn = () => {};
+logger.error = () => {};
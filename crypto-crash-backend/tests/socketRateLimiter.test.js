@@ -0,0 +1,55 @@
+const SocketRateLimiter = require('../src/services/socketRateLimiter');
+const db = require('./helpers/db');
+
+describe('SocketRateLimiter', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+  beforeEach(db.clear);
+
+  // Two instances sharing the counts, as in cluster mode
+  const instances = () => [0, 1].map(() => new SocketRateLimiter({ max: 5, window: 60000, shared: true }));
+
+  it('counts a user across instances', async () => {
+    const [first, second] = instances();
+    const now = Date.now();
+
+    const allowed = [];
+    for (let i = 0; i < 6; i++) {
+      allowed.push(await (i % 2 ? second : first).allow('user1', now));
+    }
+
+    expect(allowed).toEqual([true, true, true, true, true, false]);
+    // Other users have limits of their own
+    expect(await second.allow('user2', now)).toBe(true);
+  });
+
+  it('holds the limit when events race', async () => {
+    const [first, second] = instances();
+    const now = Date.now();
+
+    const allowed = await Promise.all(
+      Array.from({ length: 12 }, (_, i) => (i % 2 ? second : first).allow('user1', now))
+    );
+
+    expect(allowed.filter(Boolean)).toHaveLength(5);
+  });
+
+  it('starts counting again in the next window', async () => {
+    const [limiter] = instances();
+    const now = Date.now();
+
+    for (let i = 0; i < 5; i++) await limiter.allow('user1', now);
+    expect(await limiter.allow('user1', now)).toBe(false);
+    expect(await limiter.allow('user1', now + 60000)).toBe(true);
+  });
+
+  it('counts in memory on a single instance', async () => {
+    const limiter = new SocketRateLimiter({ max: 2, window: 60000, shared: false });
+    const now = Date.now();
+
+    expect(await limiter.allow('user1', now)).toBe(true);
+    expect(await limiter.allow('user1', now)).toBe(true);
+    expect(await limiter.allow('user1', now)).toBe(false);
+    expect(await limiter.allow('user1', now + 60000)).toBe(true);
+  });
+});
@@ -0,0 +1,96 @@
+const User = require('../src/models/User');
+const Withdrawal = require('../src/models/Withdrawal');
+const GameService = require('../src/services/gameService');
+const CryptoService = require('../src/services/cryptoService');
+const LedgerService = require('../src/services/ledgerService');
+const { withdraw } = require('../src/controllers/walletController');
+const { withTransaction } = require('../src/utils/helper');
+const db = require('./helpers/db');
+
+const io = { to: () => ({ emit: () => {} }) };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Withdrawing demo funds', () => {
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    jest.spyOn(CryptoService, 'getPrice').mockResolvedValue(db.BTC_PRICE);
+    jest.spyOn(CryptoService, 'getAllPrices').mockResolvedValue({ BTC: db.BTC_PRICE });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // A user past requireVerifiedEmail and requireTwoFactor
+  const verified = async (user) => {
+    await User.updateOne({ _id: user._id }, { emailVerified: true, 'twoFactor.enabled': true });
+    return User.findById(user._id);
+  };
+
+  const requestWithdrawal = async (user, amount) => {
+    const res = mockResponse();
+    await withdraw({ user, body: { currency: 'BTC', amount, address: 'bc1qtestaddress' } }, res);
+    return res;
+  };
+
+  const deposit = (user, amount) => withTransaction(session => LedgerService.post({
+    userId: user._id,
+    currency: 'BTC',
+    amount,
+    type: 'deposit',
+    usdPrice: db.BTC_PRICE,
+    session
+  }));
+
+  it('refuses to withdraw the demo balance of a verified user', async () => {
+    const user = await verified(await db.createUser(0.001, 'demo_credit'));
+
+    const res = await requestWithdrawal(user, 0.001);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].success).toBe(false);
+    expect(await db.getBalance(user._id)).toBeCloseTo(0.001, 12);
+    expect(await Withdrawal.countDocuments()).toBe(0);
+  });
+
+  it('withdraws deposited funds but not the demo funds beside them', async () => {
+    const user = await verified(await db.createUser(0.001, 'demo_credit'));
+    await deposit(user, 0.002);
+
+    expect((await requestWithdrawal(user, 0.0025)).status).toHaveBeenCalledWith(400);
+    expect((await requestWithdrawal(user, 0.002)).status).toHaveBeenCalledWith(201);
+    expect(await db.getBalance(user._id)).toBeCloseTo(0.001, 12);
+  });
+
+  it('spends demo funds last and keeps what they win as demo funds', async () => {
+    const user = await verified(await db.createUser(0.001, 'demo_credit'));
+    await deposit(user, 0.001);
+    const gameService = new GameService(io, { roomId: 'main' });
+
+    // $50 each of demo and deposited funds: the first bet is all deposited
+    // funds, the second half deposited and half demo funds
+    await db.openRound(gameService);
+    const { bet } = await gameService.placeBet(user._id, 25, 'BTC');
+    const { bet: demoBet } = await gameService.placeBet(user._id, 50, 'BTC');
+    expect(bet.demoAmount).toBe(0);
+    expect(demoBet.demoAmount).toBeCloseTo(0.0005, 12);
+
+    await gameService.startGame();
+    const startedAt = gameService.currentGame.startedAt.getTime();
+    const { payout } = await gameService.processCashout(user._id, { betId: demoBet._id, receivedAt: startedAt + 20000 });
+
+    // Half the stake was demo funds, so half the payout is
+    const wallet = (await User.findById(user._id)).wallets.find(w => w.currency === 'BTC');
+    expect(wallet.demoBalance).toBeCloseTo(0.0005 + payout / 2 / db.BTC_PRICE, 12);
+    expect(await LedgerService.getWithdrawable(user._id, 'BTC')).toBeCloseTo(wallet.balance - wallet.demoBalance, 12);
+  });
+});
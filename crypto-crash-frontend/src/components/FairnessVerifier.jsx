@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { verifyRound, verifyHistory } from 'crypto-crash-shared';
+
+// Recomputes crash points in the browser with the same module the server
+// uses, so players don't have to trust the server's own verification.
+const FairnessVerifier = () => {
+  const [round, setRound] = useState({
+    seed: '',
+    hash: '',
+    roundNumber: '',
+    clientSeed: '',
+    crashPoint: '',
+    crashConfig: ''
+  });
+  const [roundResult, setRoundResult] = useState(null);
+  const [historyReport, setHistoryReport] = useState(null);
+
+  const handleInputChange = (e) => {
+    setRound(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value
+    }));
+  };
+
+  const verifySingleRound = (e) => {
+    e.preventDefault();
+
+    if (!round.seed || !round.hash || !round.roundNumber) {
+      toast.error('Seed, hash and round number are required');
+      return;
+    }
+
+    let crashConfig;
+    try {
+      crashConfig = round.crashConfig ? JSON.parse(round.crashConfig) : undefined;
+    } catch (error) {
+      toast.error('Crash config must be valid JSON');
+      return;
+    }
+
+    setRoundResult(verifyRound({
+      seed: round.seed.trim(),
+      hash: round.hash.trim(),
+      roundNumber: parseInt(round.roundNumber, 10),
+      clientSeed: round.clientSeed.trim(),
+      crashPoint: round.crashPoint ? parseFloat(round.crashPoint) : undefined,
+      crashConfig
+    }));
+  };
+
+  const verifyHistoryFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const history = JSON.parse(await file.text());
+      setHistoryReport(verifyHistory(history));
+    } catch (error) {
+      console.error('History verification error:', error);
+      toast.error('Could not read history file');
+    }
+  };
+
+  const inputClassName = 'w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white font-mono text-sm focus:outline-none focus:border-purple-500';
+
+  return (
+    <div className="bg-gray-800 rounded-xl p-6">
+      <h3 className="text-xl font-semibold mb-4">Verify Fairness</h3>
+
+      <form onSubmit={verifySingleRound} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-gray-400 text-sm mb-2">Server Seed</label>
+          <input name="seed" value={round.seed} onChange={handleInputChange} className={inputClassName} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-gray-400 text-sm mb-2">Hash</label>
+          <input name="hash" value={round.hash} onChange={handleInputChange} className={inputClassName} />
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">Round Number</label>
+          <input type="number" name="roundNumber" value={round.roundNumber} onChange={handleInputChange} className={inputClassName} />
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">Crash Point (optional)</label>
+          <input type="number" step="0.01" name="crashPoint" value={round.crashPoint} onChange={handleInputChange} className={inputClassName} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-gray-400 text-sm mb-2">Client Seed (optional)</label>
+          <input name="clientSeed" value={round.clientSeed} onChange={handleInputChange} className={inputClassName} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-gray-400 text-sm mb-2">Crash Config JSON (optional)</label>
+          <input
+            name="crashConfig"
+            value={round.crashConfig}
+            onChange={handleInputChange}
+            placeholder='{"houseEdge":0.04,"maxMultiplier":1000}'
+            className={inputClassName}
+          />
+        </div>
+        <div className="md:col-span-2">
+          <button
+            type="submit"
+            className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 rounded-lg transition-colors"
+          >
+            Verify Round
+          </button>
+        </div>
+      </form>
+
+      {roundResult && (
+        <div className={`mt-4 p-4 rounded-lg text-sm ${roundResult.valid ? 'bg-green-900 text-green-300' : 'bg-red-900 text-red-300'}`}>
+          <p className="font-semibold">{roundResult.reason}</p>
+          <p>Calculated crash point: {roundResult.calculatedCrashPoint}x</p>
+        </div>
+      )}
+
+      <div className="mt-6">
+        <label className="block text-gray-400 text-sm mb-2">Exported History (JSON)</label>
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={verifyHistoryFile}
+          className="w-full text-sm text-gray-300"
+        />
+      </div>
+
+      {historyReport && (
+        <div className="mt-4 text-sm">
+          <p className={historyReport.valid ? 'text-green-400' : 'text-red-400'}>
+            {historyReport.verified}/{historyReport.total} rounds verified, {historyReport.mismatches.length} mismatch(es)
+          </p>
+          {historyReport.mismatches.length > 0 && (
+            <table className="w-full mt-2">
+              <thead className="text-gray-400 border-b border-gray-700">
+                <tr>
+                  <th className="text-left py-2">Round</th>
+                  <th className="text-left py-2">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {historyReport.mismatches.map((mismatch, index) => (
+                  <tr key={`${mismatch.roundId}-${index}`} className="border-b border-gray-700">
+                    <td className="py-2 font-mono">{mismatch.roundId || mismatch.roundNumber}</td>
+                    <td className="py-2 text-red-400">{mismatch.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FairnessVerifier;
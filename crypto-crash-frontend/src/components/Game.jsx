@@ -11,6 +11,8 @@ import {
   Legend,
 } from 'chart.js';
 import toast from 'react-hot-toast';
+import { multiplierAt, displayMultiplier } from 'crypto-crash-shared';
+import FairnessVerifier from './FairnessVerifier';
 
 ChartJS.register(
   CategoryScale,
@@ -36,39 +38,113 @@ const Game = ({ socket, user, onLogout }) => {
   const [selectedCurrency, setSelectedCurrency] = useState('BTC');
   const [autoCashOut, setAutoCashOut] = useState('');
   const [isAutoMode, setIsAutoMode] = useState(false);
-  const [userBet, setUserBet] = useState(null);
+  // Server-side auto-bet program: its settings and the latest one reported
+  const [autoSettings, setAutoSettings] = useState({
+    rounds: '10',
+    stopOnProfit: '',
+    stopOnLoss: '',
+    onWin: 'reset',
+    onWinPercent: '',
+    onLoss: 'reset',
+    onLossPercent: ''
+  });
+  const [autoBet, setAutoBet] = useState(null);
+  // This round's bets by the user, each cashed out on its own
+  const [userBets, setUserBets] = useState([]);
   const [gameHistory, setGameHistory] = useState([]);
   const [multiplierData, setMultiplierData] = useState([]);
   const [timeLabels, setTimeLabels] = useState([]);
   const [cryptoPrices, setCryptoPrices] = useState({});
+  const [rooms, setRooms] = useState([]);
+  const [roomId, setRoomId] = useState(null);
+  // Player protection settings: limits, breaks and the reminder interval
+  const [protection, setProtection] = useState(null);
   
   const chartRef = useRef();
+  // Room whose events are shown; the socket may still get a few from the last one
+  const roomRef = useRef(null);
+  // Curve of the running round, used to animate locally between server ticks
+  const curveRef = useRef({ startedAt: null, growthRate: null, clockOffset: null });
   const currencies = ['BTC', 'ETH', 'LTC', 'ADA', 'DOT'];
+  const reminderIntervals = [0, 15, 30, 60, 120];
+  // When this browser session started playing; survives reloads of the tab
+  const sessionStartRef = useRef(null);
+  if (!sessionStartRef.current) {
+    sessionStartRef.current = sessionStorage.getItem('sessionStartedAt') || new Date().toISOString();
+    sessionStorage.setItem('sessionStartedAt', sessionStartRef.current);
+  }
+
+  // Estimate server clock minus local clock. Network delay only ever makes a
+  // sample too small, so the largest sample seen this round is the best one.
+  const syncClock = (serverTime) => {
+    if (!serverTime) return;
+    const offset = serverTime - Date.now();
+    const current = curveRef.current.clockOffset;
+    curveRef.current.clockOffset = current === null ? offset : Math.max(current, offset);
+  };
+
+  const startCurve = (data) => {
+    curveRef.current = {
+      startedAt: new Date(data.startedAt).getTime(),
+      growthRate: data.growthRate,
+      clockOffset: null
+    };
+    syncClock(data.serverTime);
+  };
+
+  const currentRoom = rooms.find(room => room.roomId === roomId);
+  const openBets = userBets.filter(bet => !bet.cashedOut);
+  const maxBetsPerRound = currentRoom?.maxBetsPerRound ?? 1;
+  const isOtherRoom = (data) => data?.roomId && roomRef.current && data.roomId !== roomRef.current;
 
   useEffect(() => {
     if (!socket) return;
 
+    socket.on('room_list', (data) => {
+      setRooms(data);
+    });
+
     // Game state updates
     socket.on('game_state', (data) => {
+      if (isOtherRoom(data)) return;
+      if (!roomRef.current) {
+        roomRef.current = data.roomId;
+        setRoomId(data.roomId);
+      }
+
+      if (data.status === 'running' && data.growthRate) {
+        startCurve(data);
+      }
+      // Pick our bets back up after a reconnect
+      setUserBets((data.bets || []).filter(bet => bet.username === user.username));
       setGameState(data);
       setMultiplierData([data.currentMultiplier]);
       setTimeLabels([0]);
     });
 
     socket.on('new_round', (data) => {
+      if (isOtherRoom(data)) return;
       setGameState(prev => ({ ...prev, ...data }));
-      setUserBet(null);
+      setUserBets([]);
       setMultiplierData([1.00]);
       setTimeLabels([0]);
       toast.success(`New round started: ${data.roundId}`);
     });
 
     socket.on('game_started', (data) => {
+      if (isOtherRoom(data)) return;
+      startCurve(data);
       setGameState(prev => ({ ...prev, status: 'running', startedAt: data.startedAt }));
       toast.success('Game started! Watch the multiplier!');
     });
 
     socket.on('multiplier_update', (data) => {
+      if (isOtherRoom(data)) return;
+      syncClock(data.timestamp);
+
+      // Ticks only resync the clock while the curve is animated locally
+      if (curveRef.current.growthRate) return;
+
       setGameState(prev => ({ ...prev, currentMultiplier: data.multiplier }));
       
       setMultiplierData(prev => {
@@ -83,34 +159,88 @@ const Game = ({ socket, user, onLogout }) => {
     });
 
     socket.on('game_crashed', (data) => {
+      if (isOtherRoom(data)) return;
+      curveRef.current = { startedAt: null, growthRate: null, clockOffset: null };
       setGameState(prev => ({ 
         ...prev, 
         status: 'crashed',
         currentMultiplier: data.crashPoint 
       }));
       
-      if (userBet && !userBet.cashedOut) {
-        toast.error(`Game crashed at ${data.crashPoint}x! You lost $${userBet.usdAmount}`);
+      const lostBets = userBets.filter(bet => !bet.cashedOut);
+      if (lostBets.length > 0) {
+        const lost = lostBets.reduce((sum, bet) => sum + bet.usdAmount, 0);
+        toast.error(`Game crashed at ${data.crashPoint}x! You lost $${lost.toFixed(2)}`);
       }
       
       // Fetch updated game history
-      socket.emit('get_game_history', { limit: 10 });
+      socket.emit('get_game_history', { limit: 10, roomId: roomRef.current });
     });
 
     socket.on('bet_placed_success', (data) => {
-      setUserBet(data.bet);
+      if (isOtherRoom(data)) return;
+      setUserBets(prev => [...prev, data.bet]);
       toast.success(`Bet placed: $${data.bet.usdAmount} ${data.bet.currency}`);
     });
 
+    socket.on('autobet_list', (programs) => {
+      setAutoBet(programs.find(program => program.status === 'active') || null);
+    });
+
+    socket.on('autobet_update', (program) => {
+      setAutoBet(program);
+      if (program.status !== 'active') {
+        toast(`Auto bet ended: ${program.stopReason}`);
+      }
+    });
+
+    socket.on('bet_cancelled_success', (data) => {
+      toast.success(`Bet cancelled, ${data.refunded} ${data.currency} refunded`);
+    });
+
+    // Any player's cancelled bet leaves the round, ours included (from any tab)
+    socket.on('bet_cancelled', (data) => {
+      if (isOtherRoom(data)) return;
+      setUserBets(prev => prev.filter(bet => bet._id !== data.betId));
+      setGameState(prev => ({ ...prev, bets: (prev.bets || []).filter(bet => bet._id !== data.betId) }));
+    });
+
     socket.on('player_cashout', (data) => {
+      if (isOtherRoom(data)) return;
+      const share = data.partial ? `${Math.round(data.fraction * 100)}% ` : '';
       if (data.username === user.username) {
-        toast.success(`Cashed out at ${data.multiplier}x for $${data.usdPayout.toFixed(2)}!`);
-        setUserBet(prev => ({ ...prev, cashedOut: true, cashedOutAt: data.multiplier }));
+        const forced = data.forced === 'max_win' ? ' (maximum win reached)' : '';
+        toast.success(`Cashed out ${share}at ${data.multiplier}x for $${data.usdPayout.toFixed(2)}!${forced}`);
+        setUserBets(prev => prev.map(bet => (
+          bet._id === data.betId ? {
+            ...bet,
+            cashouts: [...(bet.cashouts || []), { multiplier: data.multiplier, payout: data.usdPayout, fraction: data.fraction }],
+            ...(data.partial ? {} : { cashedOut: true, cashedOutAt: data.multiplier })
+          } : bet
+        )));
       } else {
-        toast.info(`${data.username} cashed out at ${data.multiplier}x`);
+        toast.info(`${data.username} cashed out ${share}at ${data.multiplier}x`);
       }
     });
 
+    // The round's payout limit was hit and every open bet was cashed out
+    socket.on('exposure_limit_reached', (data) => {
+      if (isOtherRoom(data)) return;
+      toast(`Round payout limit reached, all bets cashed out at ${data.multiplier}x`);
+    });
+
+    socket.on('protection_status', (status) => {
+      setProtection(status);
+    });
+
+    socket.on('session_summary', (summary) => {
+      const minutes = Math.round((Date.now() - new Date(summary.since).getTime()) / 60000);
+      const net = `${summary.net >= 0 ? '+' : '-'}$${Math.abs(summary.net).toFixed(2)}`;
+      toast(`You have been playing for ${minutes} minutes. Net result: ${net} on $${summary.wagered.toFixed(2)} wagered.`, {
+        duration: 10000
+      });
+    });
+
     socket.on('game_history', (history) => {
       setGameHistory(history);
     });
@@ -119,21 +249,130 @@ const Game = ({ socket, user, onLogout }) => {
       toast.error(error.message);
     });
 
+    // Echo pongs straight back so the server can measure our round trip
+    socket.on('pong', (data) => {
+      socket.emit('pong_ack', { nonce: data?.nonce });
+    });
+
     // Fetch initial data
-    socket.emit('get_game_history', { limit: 10 });
+    socket.emit('list_rooms');
+    socket.emit('list_autobets');
+    socket.emit('get_protection');
+    socket.emit('get_game_history', { limit: 10, roomId: roomRef.current });
     
     return () => {
+      socket.off('room_list');
       socket.off('game_state');
       socket.off('new_round');
       socket.off('game_started');
       socket.off('multiplier_update');
       socket.off('game_crashed');
       socket.off('bet_placed_success');
+      socket.off('bet_cancelled_success');
+      socket.off('autobet_list');
+      socket.off('autobet_update');
+      socket.off('bet_cancelled');
       socket.off('player_cashout');
+      socket.off('exposure_limit_reached');
+      socket.off('protection_status');
+      socket.off('session_summary');
       socket.off('game_history');
       socket.off('error');
+      socket.off('pong');
     };
-  }, [socket, user.username, userBet]);
+  }, [socket, user.username, userBets]);
+
+  // Keep the server's latency estimate fresh for cashout compensation
+  useEffect(() => {
+    if (!socket) return;
+
+    socket.emit('ping');
+    const interval = setInterval(() => socket.emit('ping'), 5000);
+    return () => clearInterval(interval);
+  }, [socket]);
+
+  // Session reminders on the interval the player chose
+  const reminderInterval = protection?.reminderInterval || 0;
+  useEffect(() => {
+    if (!socket || !reminderInterval) return;
+
+    const interval = setInterval(() => {
+      socket.emit('get_session_summary', { since: sessionStartRef.current });
+    }, reminderInterval * 60000);
+    return () => clearInterval(interval);
+  }, [socket, reminderInterval]);
+
+  // Animate the running round from startedAt on the shared curve
+  useEffect(() => {
+    if (gameState.status !== 'running' || !curveRef.current.growthRate) return;
+
+    let frame;
+    let lastPointAt = 0;
+
+    const animate = (now) => {
+      const { startedAt, growthRate, clockOffset } = curveRef.current;
+      if (!growthRate) return;
+
+      const elapsed = Date.now() + (clockOffset || 0) - startedAt;
+      const multiplier = displayMultiplier(multiplierAt(elapsed, growthRate));
+
+      setGameState(prev => (
+        prev.status === 'running' ? { ...prev, currentMultiplier: multiplier } : prev
+      ));
+
+      // Add a chart point every 100ms rather than every frame
+      if (now - lastPointAt >= 100) {
+        lastPointAt = now;
+        setMultiplierData(prev => {
+          const newData = [...prev, multiplier];
+          return newData.length > 100 ? newData.slice(-100) : newData;
+        });
+        setTimeLabels(prev => {
+          const newLabels = [...prev, prev.length];
+          return newLabels.length > 100 ? newLabels.slice(-100) : newLabels;
+        });
+      }
+
+      frame = requestAnimationFrame(animate);
+    };
+
+    frame = requestAnimationFrame(animate);
+    return () => cancelAnimationFrame(frame);
+  }, [gameState.status, gameState.startedAt]);
+
+  const switchRoom = (nextRoomId) => {
+    if (nextRoomId === roomRef.current) return;
+
+    if (openBets.length > 0 && gameState.status !== 'crashed') {
+      toast.error('Finish your current bets before switching rooms');
+      return;
+    }
+
+    socket.emit('leave_room', { roomId: roomRef.current });
+    roomRef.current = nextRoomId;
+    setRoomId(nextRoomId);
+
+    curveRef.current = { startedAt: null, growthRate: null, clockOffset: null };
+    setUserBets([]);
+    setGameHistory([]);
+    setGameState({
+      roundId: null,
+      status: 'waiting',
+      currentMultiplier: 1.00,
+      hash: null,
+      startedAt: null,
+      bets: []
+    });
+
+    const room = rooms.find(r => r.roomId === nextRoomId);
+    if (room && !room.currencies.includes(selectedCurrency)) {
+      setSelectedCurrency(room.currencies[0]);
+    }
+
+    // The server answers join_room with the room's game_state
+    socket.emit('join_room', { roomId: nextRoomId });
+    socket.emit('get_game_history', { limit: 10, roomId: nextRoomId });
+  };
 
   const placeBet = () => {
     if (!betAmount || betAmount < 0.01) {
@@ -146,7 +385,18 @@ const Game = ({ socket, user, onLogout }) => {
       return;
     }
 
+    if (userBets.length >= maxBetsPerRound) {
+      toast.error(`You can place at most ${maxBetsPerRound} bets per round`);
+      return;
+    }
+
+    if (currentRoom && (betAmount < currentRoom.minBet || betAmount > currentRoom.maxBet)) {
+      toast.error(`Bets in ${currentRoom.name} must be between $${currentRoom.minBet} and $${currentRoom.maxBet}`);
+      return;
+    }
+
     const betData = {
+      roomId: roomRef.current,
       usdAmount: parseFloat(betAmount),
       currency: selectedCurrency,
       autoCashOut: autoCashOut ? parseFloat(autoCashOut) : null
@@ -155,8 +405,65 @@ const Game = ({ socket, user, onLogout }) => {
     socket.emit('place_bet', betData);
   };
 
-  const cashOut = () => {
-    if (!userBet || userBet.cashedOut) {
+  const updateAutoSetting = (e) => {
+    setAutoSettings(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  // The server places one bet per round for the program until it ends
+  const startAutoBet = () => {
+    if (!betAmount || betAmount < 0.01) {
+      toast.error('Please enter a valid base bet');
+      return;
+    }
+
+    if (!autoCashOut || autoCashOut < 1.01) {
+      toast.error('Auto betting needs an auto cash out of at least 1.01x');
+      return;
+    }
+
+    const adjustment = (action, percent) => ({
+      action,
+      percent: action === 'increase' ? parseFloat(percent) || 0 : 0
+    });
+
+    socket.emit('start_autobet', {
+      roomId: roomRef.current,
+      currency: selectedCurrency,
+      baseBet: parseFloat(betAmount),
+      autoCashOut: parseFloat(autoCashOut),
+      rounds: parseInt(autoSettings.rounds, 10),
+      stopOnProfit: autoSettings.stopOnProfit ? parseFloat(autoSettings.stopOnProfit) : null,
+      stopOnLoss: autoSettings.stopOnLoss ? parseFloat(autoSettings.stopOnLoss) : null,
+      onWin: adjustment(autoSettings.onWin, autoSettings.onWinPercent),
+      onLoss: adjustment(autoSettings.onLoss, autoSettings.onLossPercent)
+    });
+  };
+
+  const stopAutoBet = () => {
+    socket.emit('cancel_autobet', { programId: autoBet._id });
+  };
+
+  const cancelBet = (betId) => {
+    if (gameState.status !== 'waiting') {
+      toast.error('Bets can only be cancelled before the round starts');
+      return;
+    }
+
+    socket.emit('cancel_bet', { roomId: roomRef.current, betId });
+  };
+
+  const changeReminderInterval = (e) => {
+    socket.emit('set_reminder_interval', { reminderInterval: parseInt(e.target.value, 10) });
+  };
+
+  const breakUntil = protection?.selfExcludedUntil || protection?.coolOffUntil;
+  const activeLimits = protection
+    ? Object.entries(protection.limits).filter(([, limit]) => limit.amount !== null)
+    : [];
+
+  // Cash out all of a bet's open stake, or a fraction of it
+  const cashOut = (betId, fraction = null) => {
+    if (!openBets.some(bet => bet._id === betId)) {
       toast.error('No active bet to cash out');
       return;
     }
@@ -166,7 +473,7 @@ const Game = ({ socket, user, onLogout }) => {
       return;
     }
 
-    socket.emit('cashout');
+    socket.emit('cashout', { roomId: roomRef.current, betId, ...(fraction ? { fraction } : {}) });
   };
 
   const chartData = {
@@ -257,6 +564,26 @@ const Game = ({ socket, user, onLogout }) => {
                   <p className="text-sm font-mono">{gameState.roundId || 'Loading...'}</p>
                 </div>
               </div>
+
+              {/* Room Picker */}
+              {rooms.length > 1 && (
+                <div className="flex flex-wrap gap-2">
+                  {rooms.map(room => (
+                    <button
+                      key={room.roomId}
+                      onClick={() => switchRoom(room.roomId)}
+                      className={`px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+                        room.roomId === roomId ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                      }`}
+                    >
+                      <span className="block font-medium">{room.name}</span>
+                      <span className="block text-xs opacity-75">
+                        ${room.minBet}–${room.maxBet} · {room.currencies.join(', ')}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Multiplier Chart */}
@@ -315,7 +642,7 @@ const Game = ({ socket, user, onLogout }) => {
                     onChange={(e) => setSelectedCurrency(e.target.value)}
                     className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
                   >
-                    {currencies.map(currency => (
+                    {currencies.filter(currency => !currentRoom || currentRoom.currencies.includes(currency)).map(currency => (
                       <option key={currency} value={currency}>{currency}</option>
                     ))}
                   </select>
@@ -329,7 +656,8 @@ const Game = ({ socket, user, onLogout }) => {
                     value={betAmount}
                     onChange={(e) => setBetAmount(e.target.value)}
                     placeholder="0.00"
-                    min="0.01"
+                    min={currentRoom?.minBet ?? 0.01}
+                    max={currentRoom?.maxBet}
                     step="0.01"
                     className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
                   />
@@ -354,57 +682,241 @@ const Game = ({ socket, user, onLogout }) => {
                   </div>
                 </div>
 
+                {/* Auto Bet Settings */}
+                {isAutoMode && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-gray-400 text-sm mb-2">Rounds</label>
+                      <input
+                        type="number"
+                        name="rounds"
+                        value={autoSettings.rounds}
+                        onChange={updateAutoSetting}
+                        min="1"
+                        step="1"
+                        className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-gray-400 text-sm mb-2">Stop on Profit ($)</label>
+                      <input
+                        type="number"
+                        name="stopOnProfit"
+                        value={autoSettings.stopOnProfit}
+                        onChange={updateAutoSetting}
+                        min="0"
+                        step="0.01"
+                        className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+                      />
+                    </div>
+                    <div className="col-span-2">
+                      <label className="block text-gray-400 text-sm mb-2">Stop on Loss ($)</label>
+                      <input
+                        type="number"
+                        name="stopOnLoss"
+                        value={autoSettings.stopOnLoss}
+                        onChange={updateAutoSetting}
+                        min="0"
+                        step="0.01"
+                        className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+                      />
+                    </div>
+                    {['onWin', 'onLoss'].map(outcome => (
+                      <div key={outcome}>
+                        <label className="block text-gray-400 text-sm mb-2">{outcome === 'onWin' ? 'On Win' : 'On Loss'}</label>
+                        <select
+                          name={outcome}
+                          value={autoSettings[outcome]}
+                          onChange={updateAutoSetting}
+                          className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+                        >
+                          <option value="reset">Reset</option>
+                          <option value="increase">Increase by %</option>
+                        </select>
+                        {autoSettings[outcome] === 'increase' && (
+                          <input
+                            type="number"
+                            name={`${outcome}Percent`}
+                            value={autoSettings[`${outcome}Percent`]}
+                            onChange={updateAutoSetting}
+                            placeholder={outcome === 'onLoss' ? '100' : '0'}
+                            min="0"
+                            className="w-full mt-2 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+                          />
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Action Buttons */}
-                <div className="pt-4">
-                  {userBet && !userBet.cashedOut && gameState.status === 'running' ? (
-                    <button 
-                      onClick={cashOut}
-                      className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded-lg transition-colors"
-                    >
-                      Cash Out ({gameState.currentMultiplier.toFixed(2)}x)
-                    </button>
+                <div className="pt-4 space-y-2">
+                  {openBets.length > 0 && gameState.status === 'running' ? (
+                    openBets.map(bet => (
+                      <div key={bet._id} className="flex space-x-2">
+                        <button 
+                          onClick={() => cashOut(bet._id)}
+                          className="flex-1 bg-green-600 hover:bg-green-700 text-white font-bold py-3 rounded-lg transition-colors"
+                        >
+                          Cash Out ${bet.usdAmount.toFixed(2)} ({gameState.currentMultiplier.toFixed(2)}x)
+                        </button>
+                        <button
+                          onClick={() => cashOut(bet._id, 0.5)}
+                          className="bg-green-800 hover:bg-green-700 text-white font-bold py-3 px-4 rounded-lg transition-colors"
+                        >
+                          50%
+                        </button>
+                      </div>
+                    ))
                   ) : (
                     <button 
                       onClick={placeBet}
-                      disabled={gameState.status !== 'waiting' || !betAmount}
+                      disabled={gameState.status !== 'waiting' || !betAmount || userBets.length >= maxBetsPerRound}
                       className="w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-3 rounded-lg transition-colors"
                     >
-                      {gameState.status === 'waiting' ? 'Place Bet' : 'Game Running...'}
+                      {gameState.status !== 'waiting' ? 'Game Running...' :
+                       userBets.length > 0 ? `Place Bet (${userBets.length}/${maxBetsPerRound})` :
+                       'Place Bet'}
                     </button>
                   )}
+                  {isAutoMode && (autoBet?.status === 'active' ? (
+                    <button
+                      onClick={stopAutoBet}
+                      className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 rounded-lg transition-colors"
+                    >
+                      Stop Auto Bet
+                    </button>
+                  ) : (
+                    <button
+                      onClick={startAutoBet}
+                      disabled={!betAmount || !autoCashOut}
+                      className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-3 rounded-lg transition-colors"
+                    >
+                      Start Auto Bet
+                    </button>
+                  ))}
                 </div>
               </div>
             </div>
 
-            {/* Current Bet Info */}
-            {userBet && (
+            {/* Auto Bet Progress */}
+            {autoBet && (
               <div className="bg-gray-800 rounded-xl p-6">
-                <h3 className="text-lg font-semibold mb-4">Your Bet</h3>
+                <h3 className="text-lg font-semibold mb-4">Auto Bet</h3>
                 <div className="space-y-2 text-sm">
                   <div className="flex justify-between">
-                    <span className="text-gray-400">Amount:</span>
-                    <span>${userBet.usdAmount.toFixed(2)}</span>
+                    <span className="text-gray-400">Rounds:</span>
+                    <span>{autoBet.roundsPlayed}/{autoBet.rounds}</span>
                   </div>
                   <div className="flex justify-between">
-                    <span className="text-gray-400">Currency:</span>
-                    <span>{userBet.currency}</span>
+                    <span className="text-gray-400">Next Bet:</span>
+                    <span>${autoBet.currentBet.toFixed(2)} {autoBet.currency}</span>
                   </div>
-                  {userBet.autoCashOut && (
-                    <div className="flex justify-between">
-                      <span className="text-gray-400">Auto Cash Out:</span>
-                      <span>{userBet.autoCashOut}x</span>
-                    </div>
-                  )}
                   <div className="flex justify-between font-semibold">
+                    <span className="text-gray-400">Net Profit:</span>
+                    <span className={autoBet.netProfit >= 0 ? 'text-green-400' : 'text-red-400'}>
+                      {autoBet.netProfit >= 0 ? '+' : ''}${autoBet.netProfit.toFixed(2)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between">
                     <span className="text-gray-400">Status:</span>
-                    <span className={userBet.cashedOut ? 'text-green-400' : 'text-yellow-400'}>
-                      {userBet.cashedOut ? `Cashed out at ${userBet.cashedOutAt}x` : 'Active'}
+                    <span className={autoBet.status === 'active' ? 'text-yellow-400' : 'text-gray-300'}>
+                      {autoBet.status === 'active' ? 'Running' : autoBet.stopReason}
                     </span>
                   </div>
                 </div>
               </div>
             )}
 
+            {/* Current Bets Info */}
+            {userBets.length > 0 && (
+              <div className="bg-gray-800 rounded-xl p-6">
+                <h3 className="text-lg font-semibold mb-4">{userBets.length > 1 ? 'Your Bets' : 'Your Bet'}</h3>
+                <div className="space-y-4">
+                  {userBets.map(bet => (
+                    <div key={bet._id} className="space-y-2 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Amount:</span>
+                        <span>${bet.usdAmount.toFixed(2)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Currency:</span>
+                        <span>{bet.currency}</span>
+                      </div>
+                      {bet.autoCashOut && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-400">Auto Cash Out:</span>
+                          <span>{bet.autoCashOut}x</span>
+                        </div>
+                      )}
+                      {bet.maxCashOut && (!bet.autoCashOut || bet.maxCashOut < bet.autoCashOut) && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-400">Max Win At:</span>
+                          <span>{bet.maxCashOut}x</span>
+                        </div>
+                      )}
+                      <div className="flex justify-between font-semibold">
+                        <span className="text-gray-400">Status:</span>
+                        <span className={bet.cashedOut ? 'text-green-400' : 'text-yellow-400'}>
+                          {bet.cashedOut ? `Cashed out at ${bet.cashedOutAt}x` : 'Active'}
+                        </span>
+                      </div>
+                      {/* Partial cashouts taken so far */}
+                      {bet.cashouts?.length > (bet.cashedOut ? 1 : 0) && bet.cashouts.map((leg, index) => (
+                        <div key={index} className="flex justify-between text-gray-400">
+                          <span>Cashout {index + 1}:</span>
+                          <span>{leg.multiplier}x · ${leg.payout.toFixed(2)}</span>
+                        </div>
+                      ))}
+                      {gameState.status === 'waiting' && (
+                        <button
+                          onClick={() => cancelBet(bet._id)}
+                          className="w-full bg-gray-700 hover:bg-gray-600 text-gray-300 py-2 rounded-lg transition-colors"
+                        >
+                          Cancel Bet
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Player Protection */}
+            {protection && (
+              <div className="bg-gray-800 rounded-xl p-6">
+                <h3 className="text-lg font-semibold mb-4">Player Protection</h3>
+                <div className="space-y-2 text-sm">
+                  {breakUntil && (
+                    <p className="text-yellow-400">
+                      {protection.selfExcludedUntil ? 'Self-excluded' : 'On a break'} until {new Date(breakUntil).toLocaleString()}
+                    </p>
+                  )}
+                  {activeLimits.map(([name, limit]) => (
+                    <div key={name} className="flex justify-between">
+                      <span className="text-gray-400">{name.replace(/(Wager|Loss)$/, ' $1').replace(/^./, c => c.toUpperCase())}:</span>
+                      <span>
+                        ${limit.amount}
+                        {limit.pendingFrom && ` (${limit.pendingAmount === null ? 'none' : `$${limit.pendingAmount}`} from ${new Date(limit.pendingFrom).toLocaleDateString()})`}
+                      </span>
+                    </div>
+                  ))}
+                  <div>
+                    <label className="block text-gray-400 mb-2">Session Reminders</label>
+                    <select
+                      value={protection.reminderInterval}
+                      onChange={changeReminderInterval}
+                      className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:outline-none focus:border-purple-500"
+                    >
+                      {reminderIntervals.map(minutes => (
+                        <option key={minutes} value={minutes}>{minutes ? `Every ${minutes} minutes` : 'Off'}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
+            )}
+
           </div>
         </div>
 
@@ -424,7 +936,14 @@ const Game = ({ socket, user, onLogout }) => {
               </thead>
               <tbody>
                 {gameHistory.map((game, index) => {
-                  const userGameBet = game.bets?.find(bet => bet.username === user.username);
+                  // All of our bets in the round, summed into one row
+                  const userGameBets = game.bets?.filter(bet => bet.username === user.username) || [];
+                  const userGameBet = userGameBets.length > 0 ? {
+                    usdAmount: userGameBets.reduce((sum, bet) => sum + bet.usdAmount, 0),
+                    cashedOut: userGameBets.some(bet => bet.payout > 0),
+                    payout: userGameBets.reduce((sum, bet) => sum + bet.payout, 0),
+                    profit: userGameBets.reduce((sum, bet) => sum + bet.profit, 0)
+                  } : null;
                   return (
                     <tr key={game.roundId} className="border-b border-gray-700 hover:bg-gray-750">
                       <td className="py-3">
@@ -469,6 +988,11 @@ const Game = ({ socket, user, onLogout }) => {
             </table>
           </div>
         </div>
+
+        {/* Fairness Verification */}
+        <div className="mt-8">
+          <FairnessVerifier />
+        </div>
       </div>
     </div>
   );
@@ -1,8 +1,11 @@
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
 
-const Login = ({ onLogin, onRegister }) => {
+const Login = ({ onLogin, onRegister, onVerifyTwoFactor }) => {
   const [isLoginMode, setIsLoginMode] = useState(true);
+  // Set after a correct password when the account has 2FA enabled
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -35,6 +38,8 @@ const Login = ({ onLogin, onRegister }) => {
         const result = await onLogin({ email, password });
         if (!result.success) {
           toast.error(result.message);
+        } else if (result.twoFactorRequired) {
+          setChallengeToken(result.challengeToken);
         }
       } else {
         // Register
@@ -73,6 +78,34 @@ const Login = ({ onLogin, onRegister }) => {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!twoFactorCode.trim()) {
+      toast.error('Enter the code from your authenticator app');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const result = await onVerifyTwoFactor({ challengeToken, code: twoFactorCode.trim() });
+      if (!result.success) {
+        toast.error(result.message);
+        setTwoFactorCode('');
+      }
+    } catch (error) {
+      console.error('Two-factor submission error:', error);
+      toast.error('An unexpected error occurred');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+  };
+
   const toggleMode = () => {
     setIsLoginMode(!isLoginMode);
     setFormData({
@@ -94,93 +127,134 @@ const Login = ({ onLogin, onRegister }) => {
         <div className="bg-gray-800 rounded-xl shadow-lg p-8">
           <div className="mb-6">
             <h2 className="text-2xl font-bold text-white text-center">
-              {isLoginMode ? 'Sign In' : 'Create Account'}
+              {challengeToken ? 'Two-Factor Authentication' : isLoginMode ? 'Sign In' : 'Create Account'}
             </h2>
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {!isLoginMode && (
+          {challengeToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
               <div>
                 <label className="block text-gray-400 text-sm font-medium mb-2">
-                  Username *
+                  Authentication Code
                 </label>
                 <input
                   type="text"
-                  name="username"
-                  value={formData.username}
-                  onChange={handleInputChange}
-                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
-                  placeholder="Enter your username"
+                  name="twoFactorCode"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono tracking-widest placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
+                  placeholder="123456"
                   disabled={isLoading}
                 />
+                <p className="text-gray-500 text-xs mt-2">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </p>
               </div>
-            )}
-
-            <div>
-              <label className="block text-gray-400 text-sm font-medium mb-2">
-                Email Address *
-              </label>
-              <input
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleInputChange}
-                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
-                placeholder="Enter your email"
+
+              <button
+                type="submit"
                 disabled={isLoading}
-              />
-            </div>
-
-            <div>
-              <label className="block text-gray-400 text-sm font-medium mb-2">
-                Password *
-              </label>
-              <input
-                type="password"
-                name="password"
-                value={formData.password}
-                onChange={handleInputChange}
-                className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
-                placeholder="Enter your password"
+                className="w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-3 rounded-lg transition-colors duration-200"
+              >
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="w-full text-gray-400 hover:text-gray-300 text-sm focus:outline-none"
                 disabled={isLoading}
-              />
-            </div>
+              >
+                Back to sign in
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {!isLoginMode && (
+                <div>
+                  <label className="block text-gray-400 text-sm font-medium mb-2">
+                    Username *
+                  </label>
+                  <input
+                    type="text"
+                    name="username"
+                    value={formData.username}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
+                    placeholder="Enter your username"
+                    disabled={isLoading}
+                  />
+                </div>
+              )}
+
+              <div>
+                <label className="block text-gray-400 text-sm font-medium mb-2">
+                  Email Address *
+                </label>
+                <input
+                  type="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
+                  placeholder="Enter your email"
+                  disabled={isLoading}
+                />
+              </div>
 
-            {!isLoginMode && (
               <div>
                 <label className="block text-gray-400 text-sm font-medium mb-2">
-                  Confirm Password *
+                  Password *
                 </label>
                 <input
                   type="password"
-                  name="confirmPassword"
-                  value={formData.confirmPassword}
+                  name="password"
+                  value={formData.password}
                   onChange={handleInputChange}
                   className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
-                  placeholder="Confirm your password"
+                  placeholder="Enter your password"
                   disabled={isLoading}
                 />
               </div>
-            )}
-
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-3 rounded-lg transition-colors duration-200 flex items-center justify-center"
-            >
-              {isLoading ? (
-                <>
-                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Processing...
-                </>
-              ) : (
-                isLoginMode ? 'Sign In' : 'Create Account'
+
+              {!isLoginMode && (
+                <div>
+                  <label className="block text-gray-400 text-sm font-medium mb-2">
+                    Confirm Password *
+                  </label>
+                  <input
+                    type="password"
+                    name="confirmPassword"
+                    value={formData.confirmPassword}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-500 focus:ring-1 focus:ring-purple-500"
+                    placeholder="Confirm your password"
+                    disabled={isLoading}
+                  />
+                </div>
               )}
-            </button>
-          </form>
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-3 rounded-lg transition-colors duration-200 flex items-center justify-center"
+              >
+                {isLoading ? (
+                  <>
+                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Processing...
+                  </>
+                ) : (
+                  isLoginMode ? 'Sign In' : 'Create Account'
+                )}
+              </button>
+            </form>
+          )}
 
           <div className="mt-6 text-center">
             <p className="text-gray-400 text-sm">
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { verifyRound, verifyHistory } = require('../src');
+
+const USAGE = `Usage:
+  crash-verify --seed <seed> --hash <hash> --round <number> [--client-seed <seed>] [--crash-point <x>]
+               [--config '{"houseEdge":0.04,"maxMultiplier":1000}']
+  crash-verify --file <history.json> [--terminating-hash <hash>] [--json]
+
+History files are the JSON returned by GET /api/game/rounds/export, or a
+plain array of rounds. Each round is checked against the crashConfig it
+recorded; rounds without one use the default configuration.
+
+Recomputes crash points offline with the same math the server uses and
+reports any round whose proof or hash chain link does not match.
+Exits with status 1 when a mismatch is found.`;
+
+const parseArgs = (argv) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+
+  return args;
+};
+
+const printResult = (result) => {
+  const status = result.valid ? 'OK  ' : 'FAIL';
+  const round = result.roundId || `#${result.roundNumber}`;
+  const calculated = result.calculatedCrashPoint !== undefined
+    ? ` calculated=${result.calculatedCrashPoint}x`
+    : '';
+  const recorded = result.crashPoint !== undefined && result.crashPoint !== null
+    ? ` recorded=${result.crashPoint}x`
+    : '';
+
+  console.log(`${status} ${round}${calculated}${recorded} - ${result.reason}`);
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || (!args.file && !args.seed)) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  if (args.file) {
+    const history = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    const report = verifyHistory(history, { terminatingHash: args['terminating-hash'] });
+
+    if (args.json) {
+      console.log(JSON.stringify({ ...report, results: undefined }, null, 2));
+    } else {
+      report.mismatches.forEach(printResult);
+      console.log(`${report.verified}/${report.total} rounds verified, ${report.mismatches.length} mismatch(es)`);
+    }
+
+    return report.valid ? 0 : 1;
+  }
+
+  const result = verifyRound({
+    seed: args.seed,
+    hash: args.hash,
+    roundNumber: parseInt(args.round, 10),
+    clientSeed: args['client-seed'] || '',
+    crashPoint: args['crash-point'] !== undefined ? parseFloat(args['crash-point']) : undefined,
+    crashConfig: args.config ? JSON.parse(args.config) : undefined
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printResult(result);
+  }
+
+  return result.valid ? 0 : 1;
+};
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`crash-verify: ${error.message}`);
+  process.exitCode = 2;
+}
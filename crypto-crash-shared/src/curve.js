@@ -0,0 +1,33 @@
+// Time-to-multiplier curve shared by the server (crash timing) and the
+// client (local animation between multiplier_update ticks):
+//
+//   multiplier(t) = e^(growthRate * t), t = milliseconds since startedAt
+//
+// With the default rate the curve reaches 2x after ~11.6s, 10x after
+// ~38.4s and 100x after ~76.8s.
+const DEFAULT_GROWTH_RATE = 0.00006;
+
+const multiplierAt = (elapsedMs, growthRate = DEFAULT_GROWTH_RATE) =>
+  Math.exp(growthRate * Math.max(0, elapsedMs));
+
+// Milliseconds after the start at which the curve reaches `multiplier`
+const timeToMultiplier = (multiplier, growthRate = DEFAULT_GROWTH_RATE) =>
+  Math.log(Math.max(1, multiplier)) / growthRate;
+
+// Absolute time (ms since epoch) at which a round started at `startedAt` crashes
+const crashTimeFor = (startedAt, crashPoint, growthRate = DEFAULT_GROWTH_RATE) =>
+  new Date(startedAt).getTime() + timeToMultiplier(crashPoint, growthRate);
+
+// Multiplier shown to players: floored so it never rounds up past the crash point
+const displayMultiplier = (multiplier, precision = 2) => {
+  const scale = Math.pow(10, precision);
+  return Math.floor(multiplier * scale) / scale;
+};
+
+module.exports = {
+  DEFAULT_GROWTH_RATE,
+  multiplierAt,
+  timeToMultiplier,
+  crashTimeFor,
+  displayMultiplier
+};
@@ -0,0 +1,245 @@
+const sha256 = require('./sha256');
+
+// Crash distribution parameters. Every Game records the values it used so
+// its proof stays verifiable after the configuration changes.
+// minMultiplier is the lowest crash point short of an instant crash.
+const DEFAULT_CRASH_CONFIG = Object.freeze({
+  formula: 'house-edge',
+  houseEdge: 0.04,
+  maxMultiplier: 1000,
+  minMultiplier: 1.01,
+  instantCrashProbability: 0,
+  precision: 2
+});
+
+// Multiplier reported for an instant crash
+const INSTANT_CRASH_POINT = 1.00;
+
+// 'legacy' is the mapping rounds used before 'house-edge'. It never exceeds
+// 1, so those rounds all crashed at minMultiplier; it is kept only so they
+// still verify.
+const CRASH_FORMULAS = ['house-edge', 'legacy'];
+
+const resolveCrashConfig = (config = {}) => ({ ...DEFAULT_CRASH_CONFIG, ...config });
+
+// Largest difference tolerated between a recorded and recomputed crash point
+const crashPointTolerance = (config) => Math.pow(10, -resolveCrashConfig(config).precision);
+
+const createHash = (seed) => sha256(seed);
+
+// Crash point for a round: sha256(seed + roundNumber + clientSeed). The
+// second 32 bits decide an instant crash, the first 32 bits are mapped
+// through the house edge formula and floored to `precision` places. With
+// 'house-edge', P(crash point >= m) = (1 - houseEdge) / m, so cashing out at
+// any target returns 1 - houseEdge on average; points below minMultiplier
+// crash instantly and points above maxMultiplier are capped.
+const generateCrashPoint = (seed, roundNumber, clientSeed = '', config) => {
+  const { formula, houseEdge, maxMultiplier, minMultiplier, instantCrashProbability, precision } =
+    resolveCrashConfig(config);
+
+  if (!CRASH_FORMULAS.includes(formula)) {
+    throw new Error(`Unknown crash formula: ${formula}`);
+  }
+
+  const data = seed + roundNumber.toString() + (clientSeed || '');
+  const hash = sha256(data);
+
+  if (instantCrashProbability > 0 &&
+      parseInt(hash.substring(8, 16), 16) / Math.pow(2, 32) < instantCrashProbability) {
+    return INSTANT_CRASH_POINT;
+  }
+
+  const intValue = parseInt(hash.substring(0, 8), 16);
+  const scale = Math.pow(10, precision);
+
+  if (formula === 'legacy') {
+    const result = (Math.pow(2, 32) - 1 - intValue) / (Math.pow(2, 32) - 1 - intValue * houseEdge);
+    const crashPoint = Math.max(minMultiplier, Math.min(result, maxMultiplier));
+    return Math.floor(crashPoint * scale) / scale;
+  }
+
+  const result = (1 - houseEdge) * Math.pow(2, 32) / (Math.pow(2, 32) - intValue);
+  const crashPoint = Math.floor(Math.min(result, maxMultiplier) * scale) / scale;
+
+  return crashPoint < minMultiplier ? INSTANT_CRASH_POINT : crashPoint;
+};
+
+const verifyCrashPoint = (seed, roundNumber, crashPoint, clientSeed = '', config) => {
+  const calculatedCrashPoint = generateCrashPoint(seed, roundNumber, clientSeed, config);
+  return Math.abs(calculatedCrashPoint - crashPoint) < crashPointTolerance(config);
+};
+
+const validateProof = (seed, hash, roundNumber, crashPoint, clientSeed = '', config) => {
+  if (createHash(seed) !== hash) {
+    return { valid: false, reason: 'Hash does not match seed' };
+  }
+
+  const calculatedCrashPoint = generateCrashPoint(seed, roundNumber, clientSeed, config);
+  if (Math.abs(calculatedCrashPoint - crashPoint) > crashPointTolerance(config)) {
+    return { valid: false, reason: 'Crash point does not match calculation' };
+  }
+
+  return { valid: true, reason: 'Proof is valid' };
+};
+
+// A round's seed must hash to the previous round's seed
+const verifyChainLink = (seed, previousSeed) => createHash(seed) === previousSeed;
+
+// Walk revealed seeds (oldest first) back to the published terminating hash
+const verifyChain = (seeds, terminatingHash) => {
+  let expected = terminatingHash;
+
+  for (let i = 0; i < seeds.length; i++) {
+    if (createHash(seeds[i]) !== expected) {
+      return { valid: false, reason: `Seed ${i} does not hash to the previous link` };
+    }
+    expected = seeds[i];
+  }
+
+  return { valid: true, reason: 'Chain is valid' };
+};
+
+// Verify one exported round: { roundId, roundNumber, seed, hash, clientSeed, crashPoint, crashConfig }
+const verifyRound = (round) => {
+  const { seed, hash, roundNumber, crashPoint, clientSeed = '', crashConfig } = round;
+
+  if (!seed || !hash || !roundNumber) {
+    return {
+      roundId: round.roundId,
+      valid: false,
+      reason: 'Round is missing seed, hash or roundNumber'
+    };
+  }
+
+  const calculatedCrashPoint = generateCrashPoint(seed, roundNumber, clientSeed, crashConfig);
+  const result = crashPoint === undefined || crashPoint === null
+    ? createHash(seed) === hash
+      ? { valid: true, reason: 'Hash matches seed' }
+      : { valid: false, reason: 'Hash does not match seed' }
+    : validateProof(seed, hash, roundNumber, crashPoint, clientSeed, crashConfig);
+
+  return {
+    roundId: round.roundId,
+    roundNumber,
+    crashPoint,
+    calculatedCrashPoint,
+    ...result
+  };
+};
+
+// Verify an exported history: every round's proof, plus the chain links
+// between consecutive positions of the same chain and, when known, the
+// link from position 1 to the chain's terminating hash.
+// Accepts either an array of rounds or { chains: [{ chainId, terminatingHash }], rounds },
+// optionally wrapped in the API's { success, data } envelope.
+const verifyHistory = (input, options = {}) => {
+  const history = input && input.data ? input.data : input;
+  const rounds = Array.isArray(history) ? history : history.rounds || [];
+  const chains = Array.isArray(history) ? [] : history.chains || [];
+  const terminatingHashFor = (chainId) => options.terminatingHash ||
+    (chains.find(chain => String(chain.chainId) === String(chainId)) || {}).terminatingHash;
+
+  const results = rounds.map(verifyRound);
+  const mismatches = results.filter(result => !result.valid);
+
+  const chained = rounds
+    .filter(round => round.chainPosition)
+    .sort((a, b) => String(a.chainId).localeCompare(String(b.chainId)) ||
+      a.chainPosition - b.chainPosition);
+
+  for (let i = 0; i < chained.length; i++) {
+    const round = chained[i];
+    const previous = chained[i - 1];
+
+    if (previous && previous.chainId === round.chainId &&
+        previous.chainPosition === round.chainPosition - 1 &&
+        !verifyChainLink(round.seed, previous.seed)) {
+      mismatches.push({
+        roundId: round.roundId,
+        roundNumber: round.roundNumber,
+        valid: false,
+        reason: `Seed does not hash to the seed of chain position ${previous.chainPosition}`
+      });
+    }
+
+    const terminatingHash = round.chainPosition === 1 && terminatingHashFor(round.chainId);
+    if (terminatingHash && round.hash !== terminatingHash) {
+      mismatches.push({
+        roundId: round.roundId,
+        roundNumber: round.roundNumber,
+        valid: false,
+        reason: 'First round hash does not match the terminating hash'
+      });
+    }
+  }
+
+  return {
+    total: rounds.length,
+    verified: results.filter(result => result.valid).length,
+    valid: mismatches.length === 0,
+    mismatches,
+    results
+  };
+};
+
+// Play `rounds` rounds on a hash chain seeded with `seed` and measure the
+// empirical return to player of cashing out at each target multiplier.
+// `pause` is awaited every `pauseEvery` rounds so a server can keep serving
+// while a long simulation runs.
+const simulate = async (config, rounds, seed, targets = [1.5, 2, 5, 10], options = {}) => {
+  const { pause = null, pauseEvery = 200 } = options;
+  const crashConfig = resolveCrashConfig(config);
+  const wins = targets.map(() => 0);
+  let link = seed;
+  let totalCrashPoint = 0;
+  let instantCrashes = 0;
+  let maxCrashPoint = 0;
+
+  for (let roundNumber = 1; roundNumber <= rounds; roundNumber++) {
+    if (pause && roundNumber % pauseEvery === 0) {
+      await pause();
+    }
+
+    link = createHash(link);
+    const crashPoint = generateCrashPoint(link, roundNumber, '', crashConfig);
+
+    totalCrashPoint += crashPoint;
+    maxCrashPoint = Math.max(maxCrashPoint, crashPoint);
+    if (crashPoint === INSTANT_CRASH_POINT) instantCrashes++;
+
+    targets.forEach((target, i) => {
+      if (crashPoint >= target) wins[i]++;
+    });
+  }
+
+  return {
+    crashConfig,
+    seed,
+    rounds,
+    meanCrashPoint: totalCrashPoint / rounds,
+    maxCrashPoint,
+    instantCrashRate: instantCrashes / rounds,
+    targets: targets.map((target, i) => ({
+      target,
+      winRate: wins[i] / rounds,
+      rtp: (wins[i] * target) / rounds
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_CRASH_CONFIG,
+  INSTANT_CRASH_POINT,
+  CRASH_FORMULAS,
+  resolveCrashConfig,
+  crashPointTolerance,
+  createHash,
+  generateCrashPoint,
+  verifyCrashPoint,
+  validateProof,
+  verifyChainLink,
+  verifyChain,
+  verifyRound,
+  verifyHistory,
+  simulate
+};
@@ -0,0 +1,9 @@
+const sha256 = require('./sha256');
+const fairness = require('./fairness');
+const curve = require('./curve');
+
+module.exports = {
+  sha256,
+  ...fairness,
+  ...curve
+};
@@ -0,0 +1,44 @@
+const {
+  DEFAULT_GROWTH_RATE,
+  multiplierAt,
+  timeToMultiplier,
+  crashTimeFor,
+  displayMultiplier
+} = require('../src');
+
+describe('curve', () => {
+  it('starts at 1x and grows exponentially', () => {
+    expect(multiplierAt(0)).toBe(1);
+    expect(multiplierAt(-500)).toBe(1);
+    expect(multiplierAt(1000)).toBeCloseTo(Math.exp(DEFAULT_GROWTH_RATE * 1000), 10);
+    expect(multiplierAt(2000)).toBeGreaterThan(multiplierAt(1000));
+  });
+
+  it('reaches 2x, 10x and 100x at the documented times', () => {
+    expect(timeToMultiplier(2) / 1000).toBeCloseTo(11.55, 1);
+    expect(timeToMultiplier(10) / 1000).toBeCloseTo(38.38, 1);
+    expect(timeToMultiplier(100) / 1000).toBeCloseTo(76.75, 1);
+  });
+
+  it('inverts multiplierAt', () => {
+    [1, 1.01, 2.5, 37, 1000].forEach(multiplier => {
+      expect(multiplierAt(timeToMultiplier(multiplier))).toBeCloseTo(multiplier, 8);
+    });
+    expect(timeToMultiplier(0.5)).toBe(0);
+    expect(multiplierAt(timeToMultiplier(3, 0.0001), 0.0001)).toBeCloseTo(3, 8);
+  });
+
+  it('dates the crash from the round start', () => {
+    const startedAt = new Date('2024-01-01T00:00:00Z');
+
+    expect(crashTimeFor(startedAt, 1)).toBe(startedAt.getTime());
+    expect(crashTimeFor(startedAt, 2)).toBeCloseTo(startedAt.getTime() + timeToMultiplier(2), 6);
+    expect(crashTimeFor(startedAt.toISOString(), 2)).toBe(crashTimeFor(startedAt, 2));
+  });
+
+  it('floors the displayed multiplier', () => {
+    expect(displayMultiplier(1.999)).toBe(1.99);
+    expect(displayMultiplier(2)).toBe(2);
+    expect(displayMultiplier(2.3456, 3)).toBe(2.345);
+  });
+});
@@ -0,0 +1,174 @@
+const {
+  DEFAULT_CRASH_CONFIG,
+  INSTANT_CRASH_POINT,
+  createHash,
+  generateCrashPoint,
+  verifyCrashPoint,
+  validateProof,
+  verifyChainLink,
+  verifyChain,
+  verifyHistory,
+  simulate
+} = require('../src');
+
+const SEED = 'a'.repeat(64);
+
+// Rounds on a chain built the way HashChain does: each seed hashes to the
+// seed of the round before it, and position 1 hashes to the terminating hash
+const buildChain = (length, config) => {
+  const seeds = [SEED];
+  while (seeds.length < length + 1) seeds.push(createHash(seeds[seeds.length - 1]));
+  seeds.reverse();
+
+  return {
+    terminatingHash: seeds[0],
+    rounds: seeds.slice(1).map((seed, i) => ({
+      roundId: `round_${i + 1}`,
+      roundNumber: i + 1,
+      chainId: 'chain1',
+      chainPosition: i + 1,
+      seed,
+      hash: createHash(seed),
+      clientSeed: 'client',
+      crashPoint: generateCrashPoint(seed, i + 1, 'client', config),
+      crashConfig: config
+    }))
+  };
+};
+
+describe('generateCrashPoint', () => {
+  it('is deterministic for a seed, round and client seed', () => {
+    expect(generateCrashPoint(SEED, 1, 'client')).toBe(generateCrashPoint(SEED, 1, 'client'));
+    expect(generateCrashPoint(SEED, 1, 'client')).not.toBe(generateCrashPoint(SEED, 1, 'other'));
+  });
+
+  it('spreads crash points instead of repeating one value', async () => {
+    const points = [];
+    let link = SEED;
+    for (let roundNumber = 1; roundNumber <= 500; roundNumber++) {
+      link = createHash(link);
+      points.push(generateCrashPoint(link, roundNumber));
+    }
+
+    expect(new Set(points).size).toBeGreaterThan(100);
+    expect(points.some(point => point >= 10)).toBe(true);
+    points.forEach(point => {
+      expect(point === INSTANT_CRASH_POINT || point >= DEFAULT_CRASH_CONFIG.minMultiplier).toBe(true);
+      expect(point).toBeLessThanOrEqual(DEFAULT_CRASH_CONFIG.maxMultiplier);
+      expect(Math.round(point * 100)).toBeCloseTo(point * 100, 6);
+    });
+  });
+
+  it('caps crash points at maxMultiplier', async () => {
+    const result = await simulate({ maxMultiplier: 2 }, 2000, SEED, [2]);
+
+    expect(result.maxCrashPoint).toBe(2);
+  });
+
+  it('applies instantCrashProbability', async () => {
+    const result = await simulate({ instantCrashProbability: 1 }, 100, SEED);
+
+    expect(result.instantCrashRate).toBe(1);
+    expect(result.maxCrashPoint).toBe(INSTANT_CRASH_POINT);
+  });
+
+  it('keeps reproducing legacy rounds', () => {
+    // The legacy formula never exceeds 1, so every round crashed at the minimum
+    expect(generateCrashPoint(SEED, 1, 'client', { formula: 'legacy' })).toBe(1.01);
+    expect(generateCrashPoint(SEED, 2, '', { formula: 'legacy', houseEdge: 0.02 })).toBe(1.01);
+  });
+
+  it('rejects an unknown formula', () => {
+    expect(() => generateCrashPoint(SEED, 1, '', { formula: 'flat' })).toThrow('Unknown crash formula');
+  });
+});
+
+describe('simulate', () => {
+  it('returns about 1 - houseEdge at every target', async () => {
+    const result = await simulate(DEFAULT_CRASH_CONFIG, 20000, SEED, [1.5, 2, 3]);
+
+    result.targets.forEach(({ rtp }) => {
+      expect(Math.abs(rtp - (1 - DEFAULT_CRASH_CONFIG.houseEdge))).toBeLessThan(0.03);
+    });
+    // Crash points the first cashout can't reach become instant crashes
+    expect(result.instantCrashRate).toBeCloseTo(1 - 0.96 / 1.01, 2);
+  });
+
+  it('follows the configured house edge', async () => {
+    const result = await simulate({ houseEdge: 0.2 }, 20000, SEED, [2]);
+
+    expect(Math.abs(result.targets[0].rtp - 0.8)).toBeLessThan(0.03);
+  });
+
+  it('awaits pause every pauseEvery rounds', async () => {
+    const pause = jest.fn(() => Promise.resolve());
+    await simulate({}, 1000, SEED, [2], { pause, pauseEvery: 100 });
+
+    expect(pause).toHaveBeenCalledTimes(10);
+  });
+});
+
+describe('verifier', () => {
+  const config = { ...DEFAULT_CRASH_CONFIG };
+
+  it('accepts a genuine proof', () => {
+    const crashPoint = generateCrashPoint(SEED, 7, 'client', config);
+
+    expect(verifyCrashPoint(SEED, 7, crashPoint, 'client', config)).toBe(true);
+    expect(validateProof(SEED, createHash(SEED), 7, crashPoint, 'client', config).valid).toBe(true);
+  });
+
+  it('rejects a wrong hash or crash point', () => {
+    const crashPoint = generateCrashPoint(SEED, 7, 'client', config);
+
+    expect(validateProof(SEED, createHash('other'), 7, crashPoint, 'client', config))
+      .toEqual({ valid: false, reason: 'Hash does not match seed' });
+    expect(validateProof(SEED, createHash(SEED), 7, crashPoint + 0.5, 'client', config))
+      .toEqual({ valid: false, reason: 'Crash point does not match calculation' });
+    expect(verifyCrashPoint(SEED, 7, crashPoint, 'other', config) &&
+      verifyCrashPoint(SEED, 8, crashPoint, 'client', config)).toBe(false);
+  });
+
+  it('walks a chain back to its terminating hash', () => {
+    const { terminatingHash, rounds } = buildChain(5, config);
+    const seeds = rounds.map(round => round.seed);
+
+    expect(verifyChainLink(seeds[1], seeds[0])).toBe(true);
+    expect(verifyChain(seeds, terminatingHash).valid).toBe(true);
+    expect(verifyChain([seeds[0], seeds[2]], terminatingHash))
+      .toEqual({ valid: false, reason: 'Seed 1 does not hash to the previous link' });
+  });
+
+  it('verifies an exported history', () => {
+    const { terminatingHash, rounds } = buildChain(5, config);
+    const result = verifyHistory({ success: true, data: { chains: [{ chainId: 'chain1', terminatingHash }], rounds } });
+
+    expect(result).toMatchObject({ total: 5, verified: 5, valid: true, mismatches: [] });
+  });
+
+  it('reports tampered rounds and broken links', () => {
+    const { terminatingHash, rounds } = buildChain(5, config);
+    rounds[1] = { ...rounds[1], crashPoint: rounds[1].crashPoint + 1 };
+    rounds[3] = { ...rounds[3], seed: 'f'.repeat(64), hash: createHash('f'.repeat(64)) };
+
+    const result = verifyHistory(rounds, { terminatingHash: createHash('wrong') });
+    const reasons = result.mismatches.map(mismatch => `${mismatch.roundId}: ${mismatch.reason}`);
+
+    expect(result.valid).toBe(false);
+    expect(reasons).toEqual(expect.arrayContaining([
+      'round_2: Crash point does not match calculation',
+      'round_4: Seed does not hash to the seed of chain position 3',
+      'round_5: Seed does not hash to the seed of chain position 4',
+      'round_1: First round hash does not match the terminating hash'
+    ]));
+  });
+
+  it('checks each round against the config it recorded', () => {
+    const legacy = { ...config, formula: 'legacy' };
+    const round = buildChain(1, legacy).rounds[0];
+
+    expect(verifyHistory([round]).valid).toBe(true);
+    expect(round.crashPoint).toBe(1.01);
+    expect(verifyHistory([{ ...round, crashConfig: config }]).valid).toBe(false);
+  });
+});